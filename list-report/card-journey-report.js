@@ -1,8 +1,8 @@
-/* global ListReport, USE_SINGLE_CARD_FETCH, getAuthToken, showAuthorizePopup, dayjs */
+/* global ListReport, getAuthToken, showAuthorizePopup, dayjs, CsvExport */
 
 /**
  * Card Journey report: counts how many cards each member moved from a From list to a To list.
- * Depends on: list-report-helpers.js, list-report-api.js, list-report-report.js (escapeCSV, downloadCSV), constants.js, auth-helpers.js, dayjs.
+ * Depends on: list-report-helpers.js, list-report-api.js, list-report-report.js, shared/csv-export.js, constants.js, auth-helpers.js, dayjs.
  * Exposes ListReport.cardJourney.
  */
 (function () {
@@ -32,9 +32,7 @@
       return { memberData: {}, memberNames: {} };
     }
 
-    const cardDataResults = USE_SINGLE_CARD_FETCH
-      ? await api.fetchCardDataSingleCard(cards, token)
-      : await api.fetchCardDataBatched(cards, token);
+    const cardDataResults = await api.fetchAllCardData(cards, token);
 
     const memberData = {};
 
@@ -77,7 +75,7 @@
    */
   function generateCardJourneyCSV(aggregatedData) {
     const { memberData, memberNames } = aggregatedData;
-    const escapeCSV = listReport.escapeCSV;
+    const escapeCSV = CsvExport.escapeCSV;
 
     const header = ["Member", "Cards Moved"];
     const rows = [header.map(escapeCSV).join(",")];
@@ -133,6 +131,10 @@
         display: "info",
       });
 
+      if (window.ListReport.cache) {
+        window.ListReport.cache.resetStats();
+      }
+
       const aggregatedData = await aggregateCardJourneyData(
         fromList.id,
         toList.id,
@@ -147,7 +149,7 @@
       const toSlug = toList.name.replace(/[^a-z0-9]/gi, "_").toLowerCase();
       const filename = `card-journey-${fromSlug}-to-${toSlug}-${timestamp}.csv`;
 
-      listReport.downloadCSV(csvContent, filename);
+      CsvExport.downloadCSV(csvContent, filename);
 
       const totalMoves = Object.values(aggregatedData.memberData).reduce(
         (sum, count) => sum + count,
@@ -158,7 +160,10 @@
         message:
           totalMoves === 0
             ? "No moves found between these lists."
-            : "Card Journey report generated. " + totalMoves + " moves counted.",
+            : "Card Journey report generated. " +
+              totalMoves +
+              " moves counted." +
+              listReport.formatCacheStats(),
         duration: 3,
         display: "success",
       });
@@ -170,10 +175,9 @@
         message: error.message,
         stack: error.stack,
       });
-      const toastMessage =
-        error.message === "Failed to fetch"
-          ? "Network error (check connection or try single-card mode)."
-          : "Error generating Card Journey report: " + error.message;
+      const toastMessage = error.isNetworkError
+        ? "Network error (check your connection and try again)."
+        : "Error generating Card Journey report: " + error.message;
       t.alert({
         message: toastMessage,
         duration: 5,
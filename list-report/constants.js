@@ -3,5 +3,5 @@ const APP_NAME = "Case List Report";
 const ICON_URL = "https://cdn-icons-png.flaticon.com/512/3029/3029337.png";
 const VERSION = "1.9.3";
 
-// Set to true to fetch cards one-by-one (more reliable for large lists); false to use batched fetch.
-const USE_SINGLE_CARD_FETCH = true;
+// Upper bound on actions loaded per card when paging through its history.
+const MAX_CARD_ACTIONS = 5000;
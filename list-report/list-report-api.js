@@ -1,14 +1,19 @@
-/* global APP_KEY, USE_SINGLE_CARD_FETCH, TrelloApi */
+/* global MAX_CARD_ACTIONS, TrelloApi */
 
 /**
  * Trello API and board storage helpers for List Report.
- * Depends on: constants.js (APP_KEY, USE_SINGLE_CARD_FETCH), shared/trello-api.js (TrelloApi).
+ * All requests go through the shared TrelloApi client, which handles rate limiting and retries.
+ * Card actions are cached through ListReport.cache (list-report-cache.js) when it is loaded.
+ * Depends on: constants.js (MAX_CARD_ACTIONS), shared/trello-api.js (TrelloApi).
  * Exposes ListReport.api.
  */
 (function () {
   "use strict";
 
-  const BATCH_SIZE = 20;
+  const CARD_ACTIONS_FILTER = "updateCard,createCard";
+
+  // Each card needs two routes (actions + custom fields) and /batch takes 10 routes per call.
+  const CARDS_PER_BULK_REQUEST = 5;
 
   /**
    * Fetches all lists for the current board from context.
@@ -24,9 +29,6 @@
     }
     return TrelloApi.fetchBoardLists(boardId, token);
   };
-  const DELAY_BETWEEN_BATCHES = 300;
-  const DELAY_BETWEEN_REQUESTS = 150;
-  const DELAY_BETWEEN_CARDS_SINGLE = 120;
 
   /**
    * Gets the board's current work list ID (saved in settings).
@@ -92,16 +94,7 @@
    * @returns {Promise<Array>} Array of card objects.
    */
   const fetchBoardCards = async (boardId, token) => {
-    const response = await fetch(
-      `https://api.trello.com/1/boards/${boardId}/cards?key=${APP_KEY}&token=${token}`,
-    );
-
-    if (!response.ok) {
-      console.error(`Failed to fetch board cards: ${await response.text()}`);
-      throw new Error(`Failed to fetch board cards: ${response.status}`);
-    }
-
-    return await response.json();
+    return TrelloApi.fetchBoardCards(boardId, token);
   };
 
   /**
@@ -111,86 +104,90 @@
    * @returns {Promise<Array>} Array of card objects.
    */
   const fetchListCards = async (listId, token) => {
-    const response = await fetch(
-      `https://api.trello.com/1/lists/${listId}/cards?key=${APP_KEY}&token=${token}`,
-    );
-
-    if (!response.ok) {
-      console.error(`Failed to fetch cards: ${await response.text()}`);
-      throw new Error(`Failed to fetch cards: ${response.status}`);
-    }
-
-    return await response.json();
+    return TrelloApi.fetchListCards(listId, token);
   };
 
   /**
-   * Retries a fetch request with exponential backoff on rate limit errors.
-   * @param {Function} fetchFn - Function that returns a fetch promise.
-   * @param {number} maxRetries - Maximum number of retries.
-   * @returns {Promise<Response>} The fetch response.
+   * Gets a card's actions from the persistent cache (ListReport.cache), if any.
+   * @param {string} boardId - The board ID.
+   * @param {string} cardId - The card ID.
+   * @returns {Promise<Array|null>} Cached actions (newest first), or null when not cached.
    */
-  const fetchWithRetry = async (fetchFn, maxRetries = 3) => {
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      let response;
-      try {
-        response = await fetchFn();
-      } catch (err) {
-        console.error("List Report fetch error (network/rejection):", {
-          message: err.message,
-          name: err.name,
-          cause: err.cause,
-          stack: err.stack,
-        });
-        throw new Error(`Network error: ${err.message}`);
-      }
-
-      if (response.ok || response.status !== 429) {
-        return response;
-      }
-
-      if (response.status === 429 && attempt < maxRetries) {
-        let waitTime = 5000;
-        const retryAfter = response.headers.get("Retry-After");
-        if (retryAfter) {
-          const parsed = parseInt(retryAfter, 10);
-          if (!isNaN(parsed) && parsed > 0) {
-            waitTime = parsed * 1000;
-          }
-        } else {
-          waitTime = Math.pow(2, attempt) * 5000;
-        }
-
-        console.warn(
-          `Rate limited (429). Waiting ${waitTime}ms before retry ${attempt + 1}/${maxRetries}...`,
-        );
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
-        continue;
-      }
+  const getCachedCardActions = async (boardId, cardId) => {
+    const cache = window.ListReport.cache;
+    if (!cache || !boardId) return null;
+    return cache.getCardActions(boardId, cardId);
+  };
 
-      console.error(`Failed to fetch with retry: ${await response.text()}`);
-      throw new Error(`Failed to fetch: ${response.status}`);
+  /**
+   * Puts newly fetched actions on top of the cached ones, stores the result and returns it.
+   * Only the newest MAX_CARD_ACTIONS are kept, so a cached history is never longer than a fresh download.
+   * @param {string} boardId - The board ID.
+   * @param {string} cardId - The card ID.
+   * @param {Array} newActions - Actions newer than the cache, newest first.
+   * @param {Array|null} cachedActions - Previously cached actions, newest first.
+   * @returns {Promise<Array>} Full action list, newest first.
+   */
+  const mergeAndCacheCardActions = async (
+    boardId,
+    cardId,
+    newActions,
+    cachedActions,
+  ) => {
+    const newActionIds = new Set(newActions.map((action) => action.id));
+    const actions = newActions
+      .concat(
+        (cachedActions || []).filter((action) => !newActionIds.has(action.id)),
+      )
+      .slice(0, MAX_CARD_ACTIONS);
+    const cache = window.ListReport.cache;
+    if (cache && boardId) {
+      await cache.putCardActions(boardId, cardId, actions);
     }
+    return actions;
   };
 
   /**
-   * Fetches card actions (list movements, createCard, updateCard including dueComplete).
+   * Returns the ID of the newest cached action, used as the `since` cursor.
+   * @param {Array|null} cachedActions - Cached actions, newest first.
+   * @returns {string|undefined}
+   */
+  const getNewestActionId = (cachedActions) =>
+    cachedActions && cachedActions.length > 0 ? cachedActions[0].id : undefined;
+
+  /**
+   * Fetches actions newer than the cache (or the full history on a miss) and updates the cache.
    * @param {string} cardId - The card ID.
    * @param {string} token - API token.
-   * @returns {Promise<Array>} Array of card actions.
+   * @param {string} boardId - The board ID (cache key).
+   * @param {Array|null} cachedActions - Cached actions, newest first, or null.
+   * @returns {Promise<Array>} Full action list, newest first.
    */
-  const fetchCardActions = async (cardId, token) => {
-    const response = await fetchWithRetry(() =>
-      fetch(
-        `https://api.trello.com/1/cards/${cardId}/actions?filter=updateCard,createCard&key=${APP_KEY}&token=${token}`,
-      ),
+  const refreshCardActions = async (cardId, token, boardId, cachedActions) => {
+    const newActions = await TrelloApi.fetchAllCardActions(
+      cardId,
+      token,
+      CARD_ACTIONS_FILTER,
+      {
+        maxActions: MAX_CARD_ACTIONS,
+        since: getNewestActionId(cachedActions),
+      },
     );
+    return mergeAndCacheCardActions(boardId, cardId, newActions, cachedActions);
+  };
 
-    if (!response.ok) {
-      console.error(`Failed to fetch card actions: ${await response.text()}`);
-      throw new Error(`Failed to fetch card actions: ${response.status}`);
-    }
-
-    return await response.json();
+  /**
+   * Fetches the full action history of a card (list movements, createCard, updateCard including dueComplete),
+   * following Trello's `before` cursor up to MAX_CARD_ACTIONS.
+   * When a board ID is given, the history is cached and later calls only fetch newer actions.
+   * @param {string} cardId - The card ID.
+   * @param {string} token - API token.
+   * @param {string} [boardId] - The card's board ID; enables the persistent cache.
+   * @returns {Promise<Array>} Array of card actions.
+   */
+  const fetchCardActions = async (cardId, token, boardId) => {
+    const cachedActions = await getCachedCardActions(boardId, cardId);
+    return refreshCardActions(cardId, token, boardId, cachedActions);
   };
 
   /**
@@ -200,18 +197,7 @@
    * @returns {Promise<Array>} Array of custom field items.
    */
   const fetchCardCustomFields = async (cardId, token) => {
-    const response = await fetchWithRetry(() =>
-      fetch(
-        `https://api.trello.com/1/cards/${cardId}/customFieldItems?key=${APP_KEY}&token=${token}`,
-      ),
-    );
-
-    if (!response.ok) {
-      console.error(`Failed to fetch custom fields: ${await response.text()}`);
-      throw new Error(`Failed to fetch custom fields: ${response.status}`);
-    }
-
-    return await response.json();
+    return TrelloApi.fetchCardCustomFields(cardId, token);
   };
 
   /**
@@ -221,20 +207,7 @@
    * @returns {Promise<Array>} Array of custom field definitions.
    */
   const fetchBoardCustomFields = async (boardId, token) => {
-    const response = await fetch(
-      `https://api.trello.com/1/boards/${boardId}/customFields?key=${APP_KEY}&token=${token}`,
-    );
-
-    if (!response.ok) {
-      console.error(
-        `Failed to fetch custom field definitions: ${await response.text()}`,
-      );
-      throw new Error(
-        `Failed to fetch custom field definitions: ${response.status}`,
-      );
-    }
-
-    return await response.json();
+    return TrelloApi.fetchBoardCustomFields(boardId, token);
   };
 
   /**
@@ -244,16 +217,7 @@
    * @returns {Promise<Array>} Array of member objects.
    */
   const fetchBoardMembers = async (boardId, token) => {
-    const response = await fetch(
-      `https://api.trello.com/1/boards/${boardId}/members?key=${APP_KEY}&token=${token}`,
-    );
-
-    if (!response.ok) {
-      console.error(`Failed to fetch board members: ${await response.text()}`);
-      throw new Error(`Failed to fetch board members: ${response.status}`);
-    }
-
-    return await response.json();
+    return TrelloApi.fetchBoardMembers(boardId, token);
   };
 
   /**
@@ -263,66 +227,182 @@
    * @returns {Promise<Object>} Member object.
    */
   const fetchMember = async (memberId, token) => {
-    const response = await fetch(
-      `https://api.trello.com/1/members/${memberId}?key=${APP_KEY}&token=${token}`,
-    );
+    return TrelloApi.fetchMember(memberId, token);
+  };
 
-    if (!response.ok) {
-      console.error(`Failed to fetch member: ${await response.text()}`);
-      throw new Error(`Failed to fetch member: ${response.status}`);
+  /**
+   * Fetches actions and custom fields for one card.
+   * @param {Object} card - Card object.
+   * @param {string} token - API token.
+   * @param {Array|null} [cachedActions] - Cached actions if already looked up; otherwise
+   *   the cache is checked here.
+   * @returns {Promise<{card: Object, actions: Array, cardCustomFields: Array}>}
+   * @throws {Error} The original error (e.g. TrelloApiError), with the card named in its message.
+   */
+  const fetchCardData = async (card, token, cachedActions) => {
+    try {
+      const [actions, cardCustomFields] = await Promise.all([
+        cachedActions === undefined
+          ? fetchCardActions(card.id, token, card.idBoard)
+          : refreshCardActions(card.id, token, card.idBoard, cachedActions),
+        fetchCardCustomFields(card.id, token),
+      ]);
+      return { card, actions, cardCustomFields };
+    } catch (err) {
+      console.error(
+        `Card fetch failed: id=${card.id}, name=${card.name || "(no name)"}`,
+        err,
+      );
+      // Keep the original error (e.g. a TrelloApiError with its status) and only add card context
+      err.message = `Card ${card.id} (${card.name || "unnamed"}): ${err.message}`;
+      throw err;
     }
+  };
 
-    return await response.json();
+  /**
+   * Builds the /batch routes (actions + custom fields) for one card.
+   * @param {string} cardId - The card ID.
+   * @param {string} [sinceActionId] - Only fetch actions newer than this one (cache refresh).
+   * @returns {string[]} Two routes: actions first, then custom field items.
+   */
+  const getCardDataRoutes = (cardId, sinceActionId) => {
+    const sinceParam = sinceActionId ? `&since=${sinceActionId}` : "";
+    return [
+      `/cards/${cardId}/actions?filter=${encodeURIComponent(CARD_ACTIONS_FILTER)}&limit=${TrelloApi.CARD_ACTIONS_PAGE_SIZE}${sinceParam}`,
+      `/cards/${cardId}/customFieldItems`,
+    ];
+  };
+
+  /**
+   * Loads the rest of a card's new actions when its first page (from /batch) was full.
+   * @param {string} cardId - The card ID.
+   * @param {Array} firstPage - Actions already loaded, newest first.
+   * @param {string} token - API token.
+   * @param {string} [sinceActionId] - Lower bound used for the first page, if any.
+   * @returns {Promise<Array>} Action list, newest first.
+   */
+  const completeCardActions = async (
+    cardId,
+    firstPage,
+    token,
+    sinceActionId,
+  ) => {
+    const maxOlderActions = MAX_CARD_ACTIONS - firstPage.length;
+    if (
+      firstPage.length < TrelloApi.CARD_ACTIONS_PAGE_SIZE ||
+      maxOlderActions <= 0
+    ) {
+      return firstPage;
+    }
+    const olderActions = await TrelloApi.fetchAllCardActions(
+      cardId,
+      token,
+      CARD_ACTIONS_FILTER,
+      {
+        maxActions: maxOlderActions,
+        before: firstPage[firstPage.length - 1].id,
+        since: sinceActionId,
+      },
+    );
+    return firstPage.concat(olderActions);
   };
 
   /**
-   * Fetches actions and custom fields for all cards in batches.
+   * Fetches actions and custom fields for all cards through Trello's /batch endpoint,
+   * packing CARDS_PER_BULK_REQUEST cards (two routes each) into every call.
+   * Cards whose batch items fail are re-fetched individually so the error carries card context.
+   * If /batch itself rejects a chunk (anything other than a network error or rate limit), that
+   * chunk's cards are fetched one at a time and earlier chunks are kept.
    * @param {Array} cards - Array of card objects.
    * @param {string} token - API token.
    * @returns {Promise<Array<{card: Object, actions: Array, cardCustomFields: Array}>>}
    */
-  const fetchCardDataBatched = async (cards, token) => {
+  const fetchCardDataBulk = async (cards, token) => {
     const cardDataResults = [];
+    const totalChunks = Math.ceil(cards.length / CARDS_PER_BULK_REQUEST);
 
-    for (let i = 0; i < cards.length; i += BATCH_SIZE) {
-      const batch = cards.slice(i, i + BATCH_SIZE);
+    for (let i = 0; i < cards.length; i += CARDS_PER_BULK_REQUEST) {
+      const chunk = cards.slice(i, i + CARDS_PER_BULK_REQUEST);
+      const chunkNumber = Math.floor(i / CARDS_PER_BULK_REQUEST) + 1;
       console.log(
-        `Processing batch ${Math.floor(i / BATCH_SIZE) + 1} of ${Math.ceil(cards.length / BATCH_SIZE)} (${batch.length} cards)...`,
+        `Fetching bulk request ${chunkNumber} of ${totalChunks} (${chunk.length} cards)...`,
+      );
+
+      const cachedActionsByCard = await Promise.all(
+        chunk.map((card) => getCachedCardActions(card.idBoard, card.id)),
+      );
+      const routes = chunk.flatMap((card, index) =>
+        getCardDataRoutes(
+          card.id,
+          getNewestActionId(cachedActionsByCard[index]),
+        ),
       );
+      let results;
+      try {
+        results = await TrelloApi.fetchBatch(routes, token);
+      } catch (err) {
+        // Single-card requests would fail the same way on a network error or rate limit
+        if (
+          !(err instanceof TrelloApi.TrelloApiError) ||
+          err.isNetworkError ||
+          err.isRateLimited
+        ) {
+          throw err;
+        }
+        console.warn(
+          `Bulk request ${chunkNumber} of ${totalChunks} via /batch failed; fetching its cards one at a time.`,
+          err,
+        );
+        for (let j = 0; j < chunk.length; j++) {
+          cardDataResults.push(
+            await fetchCardData(chunk[j], token, cachedActionsByCard[j]),
+          );
+        }
+        continue;
+      }
+
+      for (let j = 0; j < chunk.length; j++) {
+        const card = chunk[j];
+        const cachedActions = cachedActionsByCard[j];
+        const actionsResult = results[j * 2];
+        const customFieldsResult = results[j * 2 + 1];
+
+        if (!actionsResult.ok || !customFieldsResult.ok) {
+          const failed = actionsResult.ok ? customFieldsResult : actionsResult;
+          console.warn(
+            `Bulk item failed for card ${card.id} (${failed.status}: ${failed.message}); retrying individually.`,
+          );
+          cardDataResults.push(await fetchCardData(card, token, cachedActions));
+          continue;
+        }
 
-      const batchResults = [];
-      for (let j = 0; j < batch.length; j++) {
-        const card = batch[j];
         try {
-          const [actions, cardCustomFields] = await Promise.all([
-            fetchCardActions(card.id, token),
-            fetchCardCustomFields(card.id, token),
-          ]);
-          batchResults.push({ card, actions, cardCustomFields });
+          const newActions = await completeCardActions(
+            card.id,
+            actionsResult.data,
+            token,
+            getNewestActionId(cachedActions),
+          );
+          const actions = await mergeAndCacheCardActions(
+            card.idBoard,
+            card.id,
+            newActions,
+            cachedActions,
+          );
+          cardDataResults.push({
+            card,
+            actions,
+            cardCustomFields: customFieldsResult.data,
+          });
         } catch (err) {
           console.error(
             `Card fetch failed: id=${card.id}, name=${card.name || "(no name)"}`,
             err,
           );
-          throw new Error(
-            `Card ${card.id} (${card.name || "unnamed"}): ${err.message}`,
-          );
-        }
-
-        if (j < batch.length - 1) {
-          await new Promise((resolve) =>
-            setTimeout(resolve, DELAY_BETWEEN_REQUESTS),
-          );
+          err.message = `Card ${card.id} (${card.name || "unnamed"}): ${err.message}`;
+          throw err;
         }
       }
-
-      cardDataResults.push(...batchResults);
-
-      if (i + BATCH_SIZE < cards.length) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, DELAY_BETWEEN_BATCHES),
-        );
-      }
     }
 
     return cardDataResults;
@@ -337,39 +417,44 @@
   const fetchCardDataSingleCard = async (cards, token) => {
     const cardDataResults = [];
     console.log(
-      `Fetching card data one card at a time (${cards.length} cards, ${DELAY_BETWEEN_CARDS_SINGLE}ms delay)...`,
+      `Fetching card data one card at a time (${cards.length} cards)...`,
     );
 
-    for (let i = 0; i < cards.length; i++) {
-      const card = cards[i];
-      const [actions, cardCustomFields] = await Promise.all([
-        fetchCardActions(card.id, token),
-        fetchCardCustomFields(card.id, token),
-      ]);
-      cardDataResults.push({ card, actions, cardCustomFields });
-
-      if (i < cards.length - 1) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, DELAY_BETWEEN_CARDS_SINGLE),
-        );
-      }
+    for (const card of cards) {
+      cardDataResults.push(await fetchCardData(card, token));
     }
 
     return cardDataResults;
   };
 
+  /**
+   * Fetches actions and custom fields for all cards, picking the fetch strategy automatically.
+   * A single card is fetched directly; anything larger goes through /batch, which falls back
+   * to single-card fetches for any chunk /batch rejects.
+   * @param {Array} cards - Array of card objects.
+   * @param {string} token - API token.
+   * @returns {Promise<Array<{card: Object, actions: Array, cardCustomFields: Array}>>}
+   */
+  const fetchAllCardData = async (cards, token) => {
+    if (cards.length <= 1) {
+      return fetchCardDataSingleCard(cards, token);
+    }
+
+    return fetchCardDataBulk(cards, token);
+  };
+
   window.ListReport = window.ListReport || {};
   window.ListReport.api = {
     fetchBoardLists,
     fetchBoardCards,
     fetchBoardMembers,
     fetchListCards,
-    fetchWithRetry,
     fetchCardActions,
     fetchCardCustomFields,
     fetchBoardCustomFields,
     fetchMember,
-    fetchCardDataBatched,
+    fetchAllCardData,
+    fetchCardDataBulk,
     fetchCardDataSingleCard,
     getCurrentWorkListId,
     setCurrentWorkListId,
@@ -0,0 +1,159 @@
+/* global indexedDB */
+
+/**
+ * Persistent IndexedDB cache of card actions for List Report.
+ * Card history before the last run cannot change, so each card's actions are stored
+ * (keyed by board and card) and later runs only fetch actions newer than the newest cached one.
+ * If IndexedDB is unavailable (e.g. blocked in the iframe), every lookup is a miss and writes are no-ops.
+ * Exposes ListReport.cache.
+ */
+(function () {
+  "use strict";
+
+  const DB_NAME = "list-report-cache";
+  const DB_VERSION = 1;
+  const STORE_NAME = "cardActions";
+
+  let dbPromise = null;
+  const stats = { hits: 0, misses: 0 };
+
+  /**
+   * Opens (and on first use creates) the cache database.
+   * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+   */
+  const openDb = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        console.warn("List Report cache unavailable:", err);
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: "key" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("List Report cache unavailable:", request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  };
+
+  /**
+   * Runs a single request against the cache store.
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+   * @param {Function} run - Receives the object store and returns an IDBRequest.
+   * @returns {Promise<*>} The request result, or null if the cache is unavailable or fails.
+   */
+  const withStore = async (mode, run) => {
+    const db = await openDb();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = run(transaction.objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn("List Report cache request failed:", request.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.warn("List Report cache request failed:", err);
+        resolve(null);
+      }
+    });
+  };
+
+  /**
+   * Builds the cache key for a card.
+   * @param {string} boardId - The board ID.
+   * @param {string} cardId - The card ID.
+   * @returns {string}
+   */
+  const getCacheKey = (boardId, cardId) => `${boardId}:${cardId}`;
+
+  /**
+   * Gets a card's cached actions and records a cache hit or miss.
+   * @param {string} boardId - The board ID.
+   * @param {string} cardId - The card ID.
+   * @returns {Promise<Array|null>} Cached actions (newest first) or null on a miss.
+   */
+  const getCardActions = async (boardId, cardId) => {
+    const record = await withStore("readonly", (store) =>
+      store.get(getCacheKey(boardId, cardId)),
+    );
+    if (record && Array.isArray(record.actions)) {
+      stats.hits++;
+      return record.actions;
+    }
+    stats.misses++;
+    return null;
+  };
+
+  /**
+   * Stores a card's full action list.
+   * @param {string} boardId - The board ID.
+   * @param {string} cardId - The card ID.
+   * @param {Array} actions - Actions, newest first.
+   * @returns {Promise<void>}
+   */
+  const putCardActions = async (boardId, cardId, actions) => {
+    await withStore("readwrite", (store) =>
+      store.put({
+        key: getCacheKey(boardId, cardId),
+        boardId,
+        cardId,
+        actions,
+        updatedAt: new Date().toISOString(),
+      }),
+    );
+  };
+
+  /**
+   * Removes every cached card history.
+   * @returns {Promise<boolean>} False if the cache is unavailable or couldn't be cleared.
+   */
+  const clearCache = async () => {
+    // A successful clear() resolves to undefined; withStore resolves to null on failure
+    const result = await withStore("readwrite", (store) => store.clear());
+    return result !== null;
+  };
+
+  /**
+   * Returns hit/miss counts since the last reset.
+   * @returns {{hits: number, misses: number}}
+   */
+  const getStats = () => ({ hits: stats.hits, misses: stats.misses });
+
+  /**
+   * Resets hit/miss counts (call at the start of each report run).
+   */
+  const resetStats = () => {
+    stats.hits = 0;
+    stats.misses = 0;
+  };
+
+  window.ListReport = window.ListReport || {};
+  window.ListReport.cache = {
+    getCardActions,
+    putCardActions,
+    clearCache,
+    getStats,
+    resetStats,
+  };
+})();
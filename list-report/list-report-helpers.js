@@ -1,7 +1,8 @@
-/* global ListReport */
+/* global ListReport, calculateBusinessMinutes, getWorkingMinutesPerDay */
 
 /**
  * Card/date and custom field helpers for List Report.
+ * Cycle times use shared/date-helpers.js (business time in the board's working hours).
  * Exposes ListReport.helpers.
  */
 (function () {
@@ -136,20 +137,23 @@
   };
 
   /**
-   * Gets the number of days (fractional) from when the card first entered the current work list
+   * Gets the number of business days (fractional) from when the card first entered the current work list
    * to when it first entered the released list (full cycle from start of work to release).
+   * Only time inside working hours on business days counts, and one day is one working day.
    * Fractional days allow sub-day cycles to be displayed as hours in the CSV.
    * @param {Array} actions - Array of Trello actions for the card.
    * @param {string} cardId - The card ID.
    * @param {string} currentWorkListId - The list ID for "current work".
    * @param {string} releasedListId - The list ID for "released".
-   * @returns {number|null} Days (fractional), or null if cycle cannot be computed.
+   * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
+   * @returns {number|null} Business days (fractional), or null if cycle cannot be computed.
    */
   const getDaysFromCurrentWorkToReleased = (
     actions,
     cardId,
     currentWorkListId,
     releasedListId,
+    businessTimeOptions,
   ) => {
     const releasedAt = getFirstCardListEntryDate(
       actions,
@@ -165,8 +169,12 @@
     );
     if (!currentWorkAt || currentWorkAt >= releasedAt) return null;
 
-    const diffMs = releasedAt - currentWorkAt;
-    return diffMs / (24 * 60 * 60 * 1000);
+    const businessMinutes = calculateBusinessMinutes(
+      currentWorkAt,
+      releasedAt,
+      businessTimeOptions,
+    );
+    return businessMinutes / getWorkingMinutesPerDay();
   };
 
   /**
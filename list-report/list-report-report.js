@@ -1,15 +1,18 @@
-/* global ListReport, USE_SINGLE_CARD_FETCH, getAuthToken, showAuthorizePopup, dayjs */
+/* global ListReport, getAuthToken, showAuthorizePopup, dayjs, CalendarSettings, MemberAbsences, CsvExport, getWorkingMinutesPerDay, getTimeZone */
 
 /**
  * Aggregation, CSV generation, and report flow for List Report.
- * Depends on: list-report-helpers.js, list-report-api.js, constants.js, auth-helpers.js, dayjs.
+ * Depends on: list-report-helpers.js, list-report-api.js, constants.js, auth-helpers.js, dayjs,
+ * shared/date-helpers.js, shared/calendar-settings.js, shared/member-absences.js, shared/csv-export.js.
  * Exposes ListReport.report.
  */
 (function () {
   "use strict";
 
   const helpers = window.ListReport.helpers;
+  const { escapeCSV, downloadCSV } = window.CsvExport;
   const api = window.ListReport.api;
+  const cache = window.ListReport.cache;
 
   const {
     getCardCompletionDate,
@@ -69,6 +72,7 @@
    * @param {string} boardId - The board ID.
    * @param {string} token - API token.
    * @param {Object} [listIds] - Optional. { currentWorkListId, releasedListId, qaListId } for cycle time and QA columns.
+   * @param {Object} [options] - Optional. { memberAbsences } to exclude days when all of a card's members were out from cycle time.
    * @returns {Promise<Object>} Aggregated data structure.
    */
   async function aggregateCardData(
@@ -77,7 +81,9 @@
     boardId,
     token,
     listIds = {},
+    options = {},
   ) {
+    const { memberAbsences } = options;
     const { currentWorkListId, releasedListId, qaListId } = listIds;
     const hasCycleTimeColumn = Boolean(currentWorkListId && releasedListId);
     const hasQaColumn = Boolean(qaListId);
@@ -98,9 +104,7 @@
     const uniqueSizes = new Set();
     const uniqueDaysToRelease = new Set();
 
-    const cardDataResults = USE_SINGLE_CARD_FETCH
-      ? await api.fetchCardDataSingleCard(cards, token)
-      : await api.fetchCardDataBatched(cards, token);
+    const cardDataResults = await api.fetchAllCardData(cards, token);
 
     const allMemberIds = new Set();
     for (const { card } of cardDataResults) {
@@ -209,6 +213,14 @@
           card.id,
           currentWorkListId,
           releasedListId,
+          memberAbsences
+            ? {
+                excludedDates: MemberAbsences.getExcludedDatesForMembers(
+                  memberAbsences,
+                  memberIds,
+                ),
+              }
+            : {},
         );
 
         if (cycleDays !== null) {
@@ -270,6 +282,7 @@
       memberNames: memberNamesObj,
       uniqueSizes: sortedSizes,
       uniqueDaysToRelease: sortedDaysToRelease,
+      timeZone: getTimeZone(),
     };
 
     if (hasCycleTimeColumn) {
@@ -287,26 +300,6 @@
     return result;
   }
 
-  /**
-   * Escapes a CSV field value.
-   * @param {string} value - The value to escape.
-   * @returns {string} Escaped CSV value.
-   */
-  function escapeCSV(value) {
-    if (value === null || value === undefined) {
-      return "";
-    }
-    const stringValue = String(value);
-    if (
-      stringValue.includes(",") ||
-      stringValue.includes('"') ||
-      stringValue.includes("\n")
-    ) {
-      return `"${stringValue.replace(/"/g, '""')}"`;
-    }
-    return stringValue;
-  }
-
   /**
    * Generates CSV content from aggregated data.
    * @param {Object} aggregatedData - The aggregated data structure.
@@ -324,6 +317,7 @@
       hasQaColumn = false,
       totalQaTimesSum = 0,
       totalCards = 0,
+      timeZone,
     } = aggregatedData;
 
     const header = ["Member"];
@@ -339,7 +333,7 @@
     });
     header.push("On Time", "Past Due", "Total Cards");
     if (hasCycleTimeColumn) {
-      header.push("Avg days (current → released)");
+      header.push("Avg business days (current → released)");
     }
     if (hasQaColumn) {
       header.push("Avg QA times");
@@ -402,7 +396,7 @@
         const hasCycleTimeValue =
           avgValue >= 1
             ? Math.round(avgValue)
-            : `${Math.round(avgValue * 24)}hs`;
+            : `${Math.round((avgValue * getWorkingMinutesPerDay()) / 60)}hs`;
 
         const cycleTimeDisplay = avgValue == null ? "" : hasCycleTimeValue;
 
@@ -443,7 +437,7 @@
       const hasOverallValue =
         overallAvgValue >= 1
           ? Math.round(overallAvgValue)
-          : `${Math.round(overallAvgValue * 24)}hs`;
+          : `${Math.round((overallAvgValue * getWorkingMinutesPerDay()) / 60)}hs`;
 
       const overallCycleTimeDisplay =
         overallAvgValue == null ? "" : hasOverallValue;
@@ -460,6 +454,10 @@
 
     rows.push(totalsRow.join(","));
 
+    if (timeZone) {
+      rows.push([escapeCSV("Time zone"), escapeCSV(timeZone)].join(","));
+    }
+
     const csvContent = rows.join("\n");
     console.log(
       "CSV generated with TOTALS row:",
@@ -469,21 +467,13 @@
   }
 
   /**
-   * Triggers CSV download.
-   * @param {string} csvContent - The CSV content.
-   * @param {string} filename - The filename for the download.
+   * Formats card-history cache hit/miss counts for completion toasts.
+   * @returns {string} e.g. " Cache: 120 hits, 4 misses." or "" when the cache is not loaded.
    */
-  function downloadCSV(csvContent, filename) {
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    const url = URL.createObjectURL(blob);
-    link.setAttribute("href", url);
-    link.setAttribute("download", filename);
-    link.style.visibility = "hidden";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  function formatCacheStats() {
+    if (!cache) return "";
+    const { hits, misses } = cache.getStats();
+    return ` Cache: ${hits} ${hits === 1 ? "hit" : "hits"}, ${misses} ${misses === 1 ? "miss" : "misses"}.`;
   }
 
   /**
@@ -538,6 +528,8 @@
         });
       }
 
+      await CalendarSettings.loadCalendarSettings(t);
+
       const currentWorkListId = await api.getCurrentWorkListId(t);
       const releasedListId = await api.getReleasedListId(t);
       const qaListId = await api.getQaListId(t);
@@ -546,6 +538,13 @@
         ...(releasedListId && { releasedListId }),
         ...(qaListId && { qaListId }),
       };
+      const memberAbsences = (await MemberAbsences.isAbsenceExclusionEnabled(t))
+        ? await MemberAbsences.getMemberAbsences(t)
+        : null;
+
+      if (cache) {
+        cache.resetStats();
+      }
 
       const firstListId = selectedLists[0].id;
       const aggregatedData = await aggregateCardData(
@@ -554,6 +553,7 @@
         boardId,
         token,
         listIds,
+        { memberAbsences },
       );
 
       const csvContent = generateCSV(aggregatedData);
@@ -567,7 +567,7 @@
       downloadCSV(csvContent, filename);
 
       t.alert({
-        message: `Report generated successfully! ${allCards.length} cards processed.`,
+        message: `Report generated successfully! ${allCards.length} cards processed.${formatCacheStats()}`,
         duration: 3,
         display: "success",
       });
@@ -580,10 +580,9 @@
         stack: error.stack,
         cause: error.cause,
       });
-      const toastMessage =
-        error.message === "Failed to fetch"
-          ? "Network error (check connection or try single-card mode)."
-          : `Error generating report: ${error.message}`;
+      const toastMessage = error.isNetworkError
+        ? "Network error (check your connection and try again)."
+        : `Error generating report: ${error.message}`;
       t.alert({
         message: toastMessage,
         duration: 5,
@@ -623,7 +622,6 @@
     generateCSV,
     generateReport,
     generateReportCallback,
-    downloadCSV,
-    escapeCSV,
+    formatCacheStats,
   };
 })();
@@ -1,4 +1,4 @@
-/* global TrelloPowerUp, APP_KEY, APP_NAME, ICON_URL, VERSION, getAuthToken, handleAuthorization, showAuthorizePopup, ListReport */
+/* global TrelloPowerUp, APP_KEY, APP_NAME, ICON_URL, VERSION, getAuthToken, handleAuthorization, showAuthorizePopup, ListReport, CalendarSettings, MemberAbsences */
 
 /**
  * List Report Power-Up entry and settings.
@@ -60,8 +60,34 @@ if (currentPath.includes("settings.html")) {
             <select id="qa-list-select">${optionsHtml(qaListId)}</select>
           </div>
           <button type="button" id="save-list-report-settings-btn" class="save-btn">Save</button>
+          <div class="settings-section cache-settings-section">
+            <h3>Card history cache</h3>
+            <p>Card histories are cached in this browser so later reports only download new activity. Clear the cache if report data looks out of date.</p>
+            <button type="button" id="clear-cache-btn" class="save-btn">Clear cache</button>
+            <p class="settings-error" id="clear-cache-error"></p>
+          </div>
         `;
 
+        const clearCacheBtn = document.getElementById("clear-cache-btn");
+        if (clearCacheBtn) {
+          clearCacheBtn.addEventListener("click", async () => {
+            const errorElement = document.getElementById("clear-cache-error");
+            clearCacheBtn.disabled = true;
+            errorElement.textContent = "";
+            if (!(await ListReport.cache.clearCache())) {
+              errorElement.textContent =
+                "Could not clear the cache. This browser may not allow Power-Ups to store data.";
+              clearCacheBtn.disabled = false;
+              return;
+            }
+            clearCacheBtn.textContent = "Cleared!";
+            setTimeout(() => {
+              clearCacheBtn.textContent = "Clear cache";
+              clearCacheBtn.disabled = false;
+            }, 2000);
+          });
+        }
+
         const saveBtn = document.getElementById(
           "save-list-report-settings-btn",
         );
@@ -125,6 +151,26 @@ if (currentPath.includes("settings.html")) {
       }
 
       await renderListReportSettings(t, token);
+      await CalendarSettings.renderHolidayCalendarSettings(
+        t,
+        document.getElementById("holiday-calendar-settings"),
+      );
+      await CalendarSettings.renderTimeZoneSettings(
+        t,
+        document.getElementById("time-zone-settings"),
+      );
+      await MemberAbsences.renderMemberAbsenceSettings(
+        t,
+        document.getElementById("member-absence-settings"),
+        {
+          exclusionLabel:
+            "Exclude days when all of a card's members are out from cycle times",
+        },
+      );
+      await CalendarSettings.renderWorkingHoursSettings(
+        t,
+        document.getElementById("working-hours-settings"),
+      );
       t.sizeTo("#content");
     } catch (error) {
       console.error("Error during List Report Settings execution:", error);
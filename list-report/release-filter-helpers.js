@@ -8,8 +8,6 @@
 (function () {
   "use strict";
 
-  const DELAY_BETWEEN_CARDS = 120;
-
   /**
    * Extracts the date value from a card's custom field items for a given field ID.
    * Trello date custom fields store: { "value": { "date": "2018-03-13T16:00:00.000Z" } }
@@ -67,8 +65,7 @@
   ) => {
     const results = [];
 
-    for (let i = 0; i < cards.length; i++) {
-      const card = cards[i];
+    for (const card of cards) {
       const cardCustomFields = await ListReport.api.fetchCardCustomFields(
         card.id,
         token,
@@ -78,12 +75,6 @@
       if (fieldDate && isDateInRange(fieldDate, startDateStr, endDateStr)) {
         results.push({ card, fieldDate });
       }
-
-      if (i < cards.length - 1) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, DELAY_BETWEEN_CARDS),
-        );
-      }
     }
 
     results.sort((a, b) => a.fieldDate - b.fieldDate);
@@ -0,0 +1,780 @@
+/* global dayjs, DEFAULT_HOLIDAY_RULES, setHolidayRules, DEFAULT_WORKING_HOURS, setWorkingHours, parseTimeOfDay, getWorkingMinutesPerDay, setTimeZone, isValidTimeZone, toCalendarDate, getHolidayEntriesForYear, IcsImport */
+
+/**
+ * Business calendar settings shared by all power-ups.
+ * The holiday calendar is stored in Trello shared storage at board level, falling back to
+ * organization level and then to DEFAULT_HOLIDAY_RULES. Working hours are stored at board level,
+ * falling back to DEFAULT_WORKING_HOURS, and so is the board's time zone (each viewer's own zone
+ * when unset). Call loadCalendarSettings(t) before any business-time calculation so
+ * date-helpers.js uses the board's calendar.
+ * Depends on: dayjs (with the utc and timezone plugins), shared/date-helpers.js,
+ * shared/ics-import.js (settings pages only, for .ics import).
+ * Exposes window.CalendarSettings.
+ */
+(function () {
+  "use strict";
+
+  const HOLIDAY_CALENDAR_KEY = "holidayCalendar";
+  const WORKING_HOURS_KEY = "workingHours";
+  const TIME_ZONE_KEY = "timeZone";
+
+  const MONTH_NAMES = [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December",
+  ];
+  const WEEKDAY_NAMES = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ];
+  const WEEK_NAMES = ["1st", "2nd", "3rd", "4th", "5th"];
+  const OBSERVED_LABELS = {
+    none: "Not observed on a weekday",
+    nearest: "Sat → Friday, Sun → Monday",
+    custom: "Custom",
+  };
+  const WEEKEND_OBSERVANCE_LABELS = {
+    none: "stays",
+    friday: "→ Friday",
+    monday: "→ Monday",
+  };
+  const RULE_TYPE_LABELS = {
+    fixed: "Fixed date",
+    "nth-weekday": "Nth weekday",
+    "last-weekday": "Last weekday",
+    date: "One-off date",
+  };
+
+  /**
+   * Reads a shared value, treating storage errors (e.g. board not in an organization) as unset.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {string} scope - "board" or "organization".
+   * @param {string} key - Storage key.
+   * @returns {Promise<*>} The stored value or undefined.
+   */
+  const getSharedValue = async (t, scope, key) => {
+    try {
+      return await t.get(scope, "shared", key);
+    } catch (err) {
+      return undefined;
+    }
+  };
+
+  /**
+   * Gets the holiday calendar for the current board.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<{rules: Array, scope: string}>} Rules and where they came from
+   *   ("board", "organization" or "default").
+   */
+  const getHolidayCalendar = async (t) => {
+    const boardCalendar = await getSharedValue(
+      t,
+      "board",
+      HOLIDAY_CALENDAR_KEY,
+    );
+    if (boardCalendar && Array.isArray(boardCalendar.rules)) {
+      return { rules: boardCalendar.rules, scope: "board" };
+    }
+
+    const organizationCalendar = await getSharedValue(
+      t,
+      "organization",
+      HOLIDAY_CALENDAR_KEY,
+    );
+    if (organizationCalendar && Array.isArray(organizationCalendar.rules)) {
+      return { rules: organizationCalendar.rules, scope: "organization" };
+    }
+
+    return { rules: DEFAULT_HOLIDAY_RULES, scope: "default" };
+  };
+
+  /**
+   * Saves the holiday calendar at board or organization level.
+   * Saving at organization level removes the board's own calendar so the organization one applies.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {Array} rules - Holiday rules.
+   * @param {string} scope - "board" or "organization".
+   * @returns {Promise<void>}
+   */
+  const saveHolidayCalendar = async (t, rules, scope) => {
+    await t.set(scope, "shared", HOLIDAY_CALENDAR_KEY, { rules });
+    if (scope === "organization") {
+      await t.remove("board", "shared", HOLIDAY_CALENDAR_KEY);
+    }
+  };
+
+  /**
+   * Gets the board's working hours.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<Object>} { start, end, breaks } ("HH:mm" times).
+   */
+  const getWorkingHours = async (t) => {
+    const workingHours = await getSharedValue(t, "board", WORKING_HOURS_KEY);
+    return workingHours && workingHours.start && workingHours.end
+      ? workingHours
+      : DEFAULT_WORKING_HOURS;
+  };
+
+  /**
+   * Saves the board's working hours.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {Object} workingHours - { start, end, breaks }.
+   * @returns {Promise<void>}
+   */
+  const saveWorkingHours = async (t, workingHours) => {
+    await t.set("board", "shared", WORKING_HOURS_KEY, workingHours);
+  };
+
+  /**
+   * Gets the board's time zone.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<string|null>} IANA zone, or null when each viewer's own zone is used.
+   */
+  const getTimeZone = async (t) => {
+    const timeZone = await getSharedValue(t, "board", TIME_ZONE_KEY);
+    return timeZone || null;
+  };
+
+  /**
+   * Saves the board's time zone.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {string|null} timeZone - IANA zone, or empty to use each viewer's own zone.
+   * @returns {Promise<void>}
+   */
+  const saveTimeZone = async (t, timeZone) => {
+    if (timeZone) {
+      await t.set("board", "shared", TIME_ZONE_KEY, timeZone);
+    } else {
+      await t.remove("board", "shared", TIME_ZONE_KEY);
+    }
+  };
+
+  /**
+   * Loads the board's calendar settings and applies them to date-helpers.js.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<{rules: Array, scope: string}>} The applied holiday calendar.
+   */
+  const loadCalendarSettings = async (t) => {
+    const [holidayCalendar, workingHours, timeZone] = await Promise.all([
+      getHolidayCalendar(t),
+      getWorkingHours(t),
+      getTimeZone(t),
+    ]);
+    setHolidayRules(holidayCalendar.rules);
+    setWorkingHours(workingHours);
+    setTimeZone(timeZone);
+    return holidayCalendar;
+  };
+
+  const escapeHtml = (text) => {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  };
+
+  /**
+   * Builds <option> tags for a list of labels, using the index as value.
+   * @param {string[]} labels - Option labels.
+   * @param {number} selected - Selected index.
+   * @param {number} [offset] - Added to each index to form the value (e.g. 1 for week numbers).
+   * @returns {string}
+   */
+  const indexOptionsHtml = (labels, selected, offset = 0) =>
+    labels
+      .map(
+        (label, index) =>
+          `<option value="${index + offset}"${index + offset === selected ? " selected" : ""}>${label}</option>`,
+      )
+      .join("");
+
+  /**
+   * Creates a new rule of the given type, keeping the name of the rule it replaces.
+   * @param {string} type - Rule type.
+   * @param {string} [name] - Holiday name.
+   * @returns {Object} Holiday rule with default values.
+   */
+  const createRule = (type, name = "") => {
+    if (type === "nth-weekday") {
+      return { type, month: 0, dayOfWeek: 1, week: 1, name };
+    }
+    if (type === "last-weekday") {
+      return { type, month: 0, dayOfWeek: 1, name };
+    }
+    if (type === "date") {
+      return { type, date: dayjs().format("YYYY-MM-DD"), name };
+    }
+    return { type: "fixed", month: 0, day: 1, observed: "nearest", name };
+  };
+
+  /**
+   * Builds <option> tags from a value → label map.
+   * @param {Object} labels - Option labels keyed by value.
+   * @param {string} selected - Selected value.
+   * @returns {string}
+   */
+  const keyOptionsHtml = (labels, selected) =>
+    Object.keys(labels)
+      .map(
+        (value) =>
+          `<option value="${value}"${value === selected ? " selected" : ""}>${labels[value]}</option>`,
+      )
+      .join("");
+
+  /**
+   * Renders the weekend observance inputs of a fixed rule.
+   * @param {Object} rule - Fixed holiday rule.
+   * @param {number} index - Rule index.
+   * @returns {string}
+   */
+  const observedFieldsHtml = (rule, index) => {
+    const observed = rule.observed;
+    const mode =
+      observed && typeof observed === "object"
+        ? "custom"
+        : observed === "nearest"
+          ? "nearest"
+          : "none";
+    const modeSelect = `<select data-index="${index}" data-field="observed">${keyOptionsHtml(OBSERVED_LABELS, mode)}</select>`;
+    if (mode !== "custom") {
+      return `Weekend: ${modeSelect}`;
+    }
+    return `Weekend: ${modeSelect}
+      Sat <select data-index="${index}" data-field="observedSaturday">${keyOptionsHtml(WEEKEND_OBSERVANCE_LABELS, observed.saturday || "none")}</select>
+      Sun <select data-index="${index}" data-field="observedSunday">${keyOptionsHtml(WEEKEND_OBSERVANCE_LABELS, observed.sunday || "none")}</select>`;
+  };
+
+  /**
+   * Renders the inputs specific to a rule's type.
+   * @param {Object} rule - Holiday rule.
+   * @param {number} index - Rule index.
+   * @returns {string}
+   */
+  const ruleFieldsHtml = (rule, index) => {
+    const monthSelect = `<select data-index="${index}" data-field="month">${indexOptionsHtml(MONTH_NAMES, rule.month)}</select>`;
+    const weekdaySelect = `<select data-index="${index}" data-field="dayOfWeek">${indexOptionsHtml(WEEKDAY_NAMES, rule.dayOfWeek)}</select>`;
+
+    if (rule.type === "nth-weekday") {
+      return `<select data-index="${index}" data-field="week">${indexOptionsHtml(WEEK_NAMES, rule.week, 1)}</select>
+        ${weekdaySelect} of ${monthSelect}`;
+    }
+    if (rule.type === "last-weekday") {
+      return `Last ${weekdaySelect} of ${monthSelect}`;
+    }
+    if (rule.type === "date") {
+      return `<input type="date" data-index="${index}" data-field="date" value="${escapeHtml(rule.date)}">`;
+    }
+    return `${monthSelect}
+      <input type="number" min="1" max="31" data-index="${index}" data-field="day" value="${rule.day}">
+      <span class="holiday-rule-observed">${observedFieldsHtml(rule, index)}</span>`;
+  };
+
+  /**
+   * Renders one editable rule row.
+   * @param {Object} rule - Holiday rule.
+   * @param {number} index - Rule index.
+   * @returns {string}
+   */
+  const ruleRowHtml = (rule, index) => {
+    const typeOptions = Object.keys(RULE_TYPE_LABELS)
+      .map(
+        (type) =>
+          `<option value="${type}"${type === rule.type ? " selected" : ""}>${RULE_TYPE_LABELS[type]}</option>`,
+      )
+      .join("");
+
+    return `<li class="holiday-rule">
+        <div class="holiday-rule-row">
+          <input type="text" class="holiday-rule-name" placeholder="Holiday name" data-index="${index}" data-field="name" value="${escapeHtml(rule.name)}">
+          <select data-index="${index}" data-field="type">${typeOptions}</select>
+          <button type="button" class="holiday-rule-delete" data-index="${index}" data-action="delete" title="Remove holiday">✕</button>
+        </div>
+        <div class="holiday-rule-row">${ruleFieldsHtml(rule, index)}</div>
+      </li>`;
+  };
+
+  /**
+   * Identifies what a rule matches, ignoring its name, so imports don't add duplicates.
+   * @param {Object} rule - Holiday rule.
+   * @returns {string}
+   */
+  const ruleKey = (rule) =>
+    [
+      rule.type,
+      rule.date,
+      rule.month,
+      rule.day,
+      rule.dayOfWeek,
+      rule.week,
+    ].join("|");
+
+  /**
+   * Lists the holidays that rules produce over the next 12 months.
+   * @param {Array} rules - Holiday rules.
+   * @returns {Array<{date: string, name: string}>}
+   */
+  const getUpcomingHolidays = (rules) => {
+    const today = dayjs(toCalendarDate(new Date()));
+    const from = today.format("YYYY-MM-DD");
+    const until = today.add(12, "month").format("YYYY-MM-DD");
+
+    return [today.year(), today.year() + 1]
+      .flatMap((year) => getHolidayEntriesForYear(year, rules))
+      .filter((entry) => entry.date >= from && entry.date < until);
+  };
+
+  /**
+   * Renders the preview of the next 12 months of holidays.
+   * @param {Array} rules - Holiday rules.
+   * @returns {string}
+   */
+  const previewHtml = (rules) => {
+    const upcoming = getUpcomingHolidays(rules);
+    const items =
+      upcoming.length === 0
+        ? "<li>No holidays.</li>"
+        : upcoming
+            .map(
+              (entry) =>
+                `<li><span class="holiday-preview-date">${dayjs(entry.date).format("ddd, MMM D, YYYY")}</span> ${escapeHtml(entry.name)}</li>`,
+            )
+            .join("");
+    return `<h4 class="holiday-preview-title">Next 12 months</h4><ul class="holiday-preview-list">${items}</ul>`;
+  };
+
+  /**
+   * Checks the rules before saving.
+   * @param {Array} rules - Holiday rules.
+   * @returns {string|null} An error message, or null if all rules are valid.
+   */
+  const validateRules = (rules) => {
+    for (const rule of rules) {
+      if (!rule.name || !rule.name.trim()) {
+        return "Every holiday needs a name.";
+      }
+      if (rule.type === "fixed" && !(rule.day >= 1 && rule.day <= 31)) {
+        return `"${rule.name}": day must be between 1 and 31.`;
+      }
+      if (rule.type === "date" && !dayjs(rule.date).isValid()) {
+        return `"${rule.name}": pick a date.`;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Renders the holiday calendar editor into a settings page container.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {HTMLElement} container - Element to render into.
+   * @returns {Promise<void>}
+   */
+  const renderHolidayCalendarSettings = async (t, container) => {
+    const holidayCalendar = await getHolidayCalendar(t);
+    const copyRule = (rule) => ({
+      ...rule,
+      ...(rule.observed && typeof rule.observed === "object"
+        ? { observed: { ...rule.observed } }
+        : {}),
+    });
+    let rules = holidayCalendar.rules.map(copyRule);
+    let scope =
+      holidayCalendar.scope === "organization" ? "organization" : "board";
+
+    const render = () => {
+      container.innerHTML = `
+        <h3 class="calendar-settings-title">Holiday calendar</h3>
+        <p class="calendar-settings-desc">Holidays are excluded from business time. Currently using the ${
+          holidayCalendar.scope === "default"
+            ? "default calendar"
+            : `${holidayCalendar.scope} calendar`
+        }.</p>
+        <ul class="holiday-rule-list">${rules.map(ruleRowHtml).join("")}</ul>
+        <div class="calendar-settings-actions">
+          <button type="button" class="calendar-secondary-btn" data-action="add">+ Add holiday</button>
+          <button type="button" class="calendar-secondary-btn" data-action="defaults">Restore defaults</button>
+        </div>
+        <details class="holiday-import">
+          <summary>Import from iCalendar (.ics)</summary>
+          <input type="file" id="ics-file-input" accept=".ics,text/calendar">
+          <textarea id="ics-text-input" rows="4" placeholder="…or paste the contents of an .ics file"></textarea>
+          <button type="button" class="calendar-secondary-btn" data-action="import-ics">Import</button>
+        </details>
+        <div class="holiday-preview" id="holiday-preview">${previewHtml(rules)}</div>
+        <div class="calendar-settings-scope">
+          <label><input type="radio" name="holiday-calendar-scope" value="board"${scope === "board" ? " checked" : ""}> This board only</label>
+          <label><input type="radio" name="holiday-calendar-scope" value="organization"${scope === "organization" ? " checked" : ""}> All boards in this Workspace</label>
+        </div>
+        <button type="button" class="calendar-save-btn" data-action="save">Save holidays</button>
+        <p class="calendar-settings-message" id="holiday-calendar-message"></p>
+      `;
+      t.sizeTo("#content");
+    };
+
+    const renderPreview = () => {
+      const preview = container.querySelector("#holiday-preview");
+      if (preview) {
+        preview.innerHTML = previewHtml(rules);
+        t.sizeTo("#content");
+      }
+    };
+
+    const importIcs = async () => {
+      const fileInput = container.querySelector("#ics-file-input");
+      const file = fileInput.files && fileInput.files[0];
+      const text = file
+        ? await file.text()
+        : container.querySelector("#ics-text-input").value;
+      const {
+        rules: importedRules,
+        eventCount,
+        oneOffDayCount,
+      } = IcsImport.parseIcsHolidays(text);
+
+      const knownKeys = new Set(rules.map(ruleKey));
+      const addedRules = importedRules.filter((rule) => {
+        const key = ruleKey(rule);
+        if (knownKeys.has(key)) return false;
+        knownKeys.add(key);
+        return true;
+      });
+      rules = rules.concat(addedRules);
+      render();
+      const oneOffNote = oneOffDayCount
+        ? ` ${oneOffDayCount} later days of multi-day weekday holidays were added as one-off dates for the year in the file only; add them for other years by hand.`
+        : "";
+      showMessage(
+        `Added ${addedRules.length} of ${importedRules.length} holidays from ${eventCount} events (the rest were already in the calendar).${oneOffNote} Check the preview, then save.`,
+        false,
+      );
+    };
+
+    const showMessage = (text, isError) => {
+      const message = container.querySelector("#holiday-calendar-message");
+      if (!message) return;
+      message.textContent = text;
+      message.classList.toggle("settings-error", Boolean(isError));
+    };
+
+    container.addEventListener("change", (event) => {
+      const target = event.target;
+      if (target.name === "holiday-calendar-scope") {
+        scope = target.value;
+        return;
+      }
+      const index = parseInt(target.getAttribute("data-index"), 10);
+      const field = target.getAttribute("data-field");
+      if (isNaN(index) || !field) return;
+
+      if (field === "type") {
+        rules[index] = createRule(target.value, rules[index].name);
+        render();
+        return;
+      }
+      if (field === "observed") {
+        if (target.value === "custom") {
+          rules[index].observed = { saturday: "monday", sunday: "monday" };
+        } else if (target.value === "nearest") {
+          rules[index].observed = "nearest";
+        } else {
+          delete rules[index].observed;
+        }
+        render();
+        return;
+      }
+      if (field === "observedSaturday" || field === "observedSunday") {
+        const weekendDay = field === "observedSaturday" ? "saturday" : "sunday";
+        rules[index].observed = {
+          ...rules[index].observed,
+          [weekendDay]: target.value,
+        };
+        renderPreview();
+        return;
+      }
+      rules[index][field] =
+        field === "name" || field === "date"
+          ? target.value
+          : parseInt(target.value, 10);
+      renderPreview();
+    });
+
+    container.addEventListener("click", async (event) => {
+      const action = event.target.getAttribute("data-action");
+      if (action === "delete") {
+        rules.splice(parseInt(event.target.getAttribute("data-index"), 10), 1);
+        render();
+      } else if (action === "add") {
+        rules.push(createRule("fixed"));
+        render();
+      } else if (action === "import-ics") {
+        try {
+          await importIcs();
+        } catch (err) {
+          console.error("Failed to import .ics file:", err);
+          showMessage(`Could not import: ${err.message}`, true);
+        }
+      } else if (action === "defaults") {
+        rules = DEFAULT_HOLIDAY_RULES.map(copyRule);
+        render();
+      } else if (action === "save") {
+        const validationError = validateRules(rules);
+        if (validationError) {
+          showMessage(validationError, true);
+          return;
+        }
+        try {
+          await saveHolidayCalendar(t, rules, scope);
+          holidayCalendar.scope = scope;
+          render();
+          showMessage("Saved!", false);
+        } catch (err) {
+          console.error("Failed to save holiday calendar:", err);
+          showMessage(
+            scope === "organization"
+              ? "Could not save at Workspace level. Is this board in a Workspace?"
+              : `Could not save holidays: ${err.message}`,
+            true,
+          );
+        }
+      }
+    });
+
+    render();
+  };
+
+  /**
+   * Checks working hours before saving.
+   * @param {Object} workingHours - { start, end, breaks }.
+   * @returns {string|null} An error message, or null if the working hours are valid.
+   */
+  const validateWorkingHours = (workingHours) => {
+    const start = parseTimeOfDay(workingHours.start);
+    const end = parseTimeOfDay(workingHours.end);
+    if (isNaN(start) || isNaN(end)) {
+      return "Enter a start and end time.";
+    }
+    if (start >= end) {
+      return "The working day must end after it starts.";
+    }
+
+    const breaks = workingHours.breaks
+      .map((b) => ({
+        start: parseTimeOfDay(b.start),
+        end: parseTimeOfDay(b.end),
+      }))
+      .sort((a, b) => a.start - b.start);
+    for (let i = 0; i < breaks.length; i++) {
+      const b = breaks[i];
+      if (isNaN(b.start) || isNaN(b.end) || b.start >= b.end) {
+        return "Each break must end after it starts.";
+      }
+      if (b.start < start || b.end > end) {
+        return "Breaks must be inside the working day.";
+      }
+      if (i > 0 && b.start < breaks[i - 1].end) {
+        return "Breaks must not overlap.";
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Shows "24:00" as midnight in a time input, which only accepts 00:00-23:59.
+   * @param {string} time - "HH:mm" time.
+   * @returns {string}
+   */
+  const toTimeInputValue = (time) => (time === "24:00" ? "00:00" : time);
+
+  /**
+   * Formats minutes as hours for the working day summary (e.g. "7.5 hours").
+   * @param {number} minutes - Minutes.
+   * @returns {string}
+   */
+  const formatHours = (minutes) => {
+    const hours = Math.round((minutes / 60) * 100) / 100;
+    return hours === 1 ? "1 hour" : `${hours} hours`;
+  };
+
+  /**
+   * Renders the working hours editor into a settings page container.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {HTMLElement} container - Element to render into.
+   * @returns {Promise<void>}
+   */
+  const renderWorkingHoursSettings = async (t, container) => {
+    const savedWorkingHours = await getWorkingHours(t);
+    const workingHours = {
+      start: savedWorkingHours.start,
+      end: savedWorkingHours.end,
+      breaks: (savedWorkingHours.breaks || []).map((b) => ({ ...b })),
+    };
+
+    const render = () => {
+      const breakRows = workingHours.breaks
+        .map(
+          (b, index) => `<li class="holiday-rule-row">
+            Break <input type="time" data-index="${index}" data-field="start" value="${escapeHtml(b.start)}">
+            to <input type="time" data-index="${index}" data-field="end" value="${escapeHtml(b.end)}">
+            <button type="button" class="holiday-rule-delete" data-index="${index}" data-action="delete-break" title="Remove break">✕</button>
+          </li>`,
+        )
+        .join("");
+
+      container.innerHTML = `
+        <h3 class="calendar-settings-title">Working hours</h3>
+        <p class="calendar-settings-desc">Only time inside working hours counts as business time, and one business day is one working day (currently ${formatHours(getWorkingMinutesPerDay(workingHours))}). An end time of 00:00 means midnight.</p>
+        <div class="holiday-rule-row">
+          From <input type="time" data-field="start" value="${escapeHtml(toTimeInputValue(workingHours.start))}">
+          to <input type="time" data-field="end" value="${escapeHtml(toTimeInputValue(workingHours.end))}">
+        </div>
+        <ul class="holiday-rule-list working-hours-breaks">${breakRows}</ul>
+        <div class="calendar-settings-actions">
+          <button type="button" class="calendar-secondary-btn" data-action="add-break">+ Add break</button>
+          <button type="button" class="calendar-secondary-btn" data-action="whole-day">Count the whole day</button>
+        </div>
+        <button type="button" class="calendar-save-btn" data-action="save-working-hours">Save working hours</button>
+        <p class="calendar-settings-message" id="working-hours-message"></p>
+      `;
+      t.sizeTo("#content");
+    };
+
+    const showMessage = (text, isError) => {
+      const message = container.querySelector("#working-hours-message");
+      if (!message) return;
+      message.textContent = text;
+      message.classList.toggle("settings-error", Boolean(isError));
+    };
+
+    container.addEventListener("change", (event) => {
+      const target = event.target;
+      const field = target.getAttribute("data-field");
+      if (!field) return;
+
+      const index = parseInt(target.getAttribute("data-index"), 10);
+      if (!isNaN(index)) {
+        workingHours.breaks[index][field] = target.value;
+      } else if (field === "end" && target.value === "00:00") {
+        workingHours.end = "24:00";
+      } else {
+        workingHours[field] = target.value;
+      }
+      render();
+    });
+
+    container.addEventListener("click", async (event) => {
+      const action = event.target.getAttribute("data-action");
+      if (action === "delete-break") {
+        workingHours.breaks.splice(
+          parseInt(event.target.getAttribute("data-index"), 10),
+          1,
+        );
+        render();
+      } else if (action === "add-break") {
+        workingHours.breaks.push({ start: "12:00", end: "13:00" });
+        render();
+      } else if (action === "whole-day") {
+        workingHours.start = DEFAULT_WORKING_HOURS.start;
+        workingHours.end = DEFAULT_WORKING_HOURS.end;
+        workingHours.breaks = [];
+        render();
+      } else if (action === "save-working-hours") {
+        const validationError = validateWorkingHours(workingHours);
+        if (validationError) {
+          showMessage(validationError, true);
+          return;
+        }
+        try {
+          await saveWorkingHours(t, workingHours);
+          setWorkingHours(workingHours);
+          showMessage("Saved!", false);
+        } catch (err) {
+          console.error("Failed to save working hours:", err);
+          showMessage(`Could not save working hours: ${err.message}`, true);
+        }
+      }
+    });
+
+    render();
+  };
+
+  /**
+   * Renders the time zone editor into a settings page container.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {HTMLElement} container - Element to render into.
+   * @returns {Promise<void>}
+   */
+  const renderTimeZoneSettings = async (t, container) => {
+    const timeZone = await getTimeZone(t);
+    const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zoneOptions = (
+      typeof Intl.supportedValuesOf === "function"
+        ? Intl.supportedValuesOf("timeZone")
+        : []
+    )
+      .map((zone) => `<option value="${escapeHtml(zone)}"></option>`)
+      .join("");
+
+    container.innerHTML = `
+      <h3 class="calendar-settings-title">Time zone</h3>
+      <p class="calendar-settings-desc">Day boundaries, weekends and holidays are worked out in this time zone, so everyone on the board sees the same business time. Leave it empty to use each viewer's own time zone (yours is ${escapeHtml(viewerTimeZone)}).</p>
+      <div class="holiday-rule-row">
+        <input type="text" class="time-zone-input" id="time-zone-input" list="time-zone-options" placeholder="e.g. America/New_York" value="${escapeHtml(timeZone || "")}">
+        <datalist id="time-zone-options">${zoneOptions}</datalist>
+      </div>
+      <button type="button" class="calendar-save-btn" id="time-zone-save-btn">Save time zone</button>
+      <p class="calendar-settings-message" id="time-zone-message"></p>
+    `;
+
+    const input = container.querySelector("#time-zone-input");
+    const message = container.querySelector("#time-zone-message");
+    const showMessage = (text, isError) => {
+      message.textContent = text;
+      message.classList.toggle("settings-error", Boolean(isError));
+    };
+
+    container
+      .querySelector("#time-zone-save-btn")
+      .addEventListener("click", async () => {
+        const value = input.value.trim();
+        if (value && !isValidTimeZone(value)) {
+          showMessage(`"${value}" is not a known time zone.`, true);
+          return;
+        }
+        try {
+          await saveTimeZone(t, value || null);
+          setTimeZone(value || null);
+          showMessage("Saved!", false);
+        } catch (err) {
+          console.error("Failed to save time zone:", err);
+          showMessage(`Could not save time zone: ${err.message}`, true);
+        }
+      });
+
+    t.sizeTo("#content");
+  };
+
+  window.CalendarSettings = {
+    getHolidayCalendar,
+    saveHolidayCalendar,
+    getWorkingHours,
+    saveWorkingHours,
+    getTimeZone,
+    saveTimeZone,
+    loadCalendarSettings,
+    renderHolidayCalendarSettings,
+    renderWorkingHoursSettings,
+    renderTimeZoneSettings,
+  };
+})();
@@ -0,0 +1,63 @@
+/**
+ * CSV and file download helpers shared by all power-ups' exports and reports.
+ * Exposes window.CsvExport.
+ */
+(function () {
+  "use strict";
+
+  const CSV_MIME_TYPE = "text/csv;charset=utf-8;";
+
+  /**
+   * Escapes a CSV field value.
+   * @param {*} value - The value to escape.
+   * @returns {string} Escaped CSV value.
+   */
+  const escapeCSV = (value) => {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    const stringValue = String(value);
+    if (
+      stringValue.includes(",") ||
+      stringValue.includes('"') ||
+      stringValue.includes("\n")
+    ) {
+      return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+  };
+
+  /**
+   * Downloads text as a file from the current iframe.
+   * @param {string} content - File contents.
+   * @param {string} filename - Name to save the file as.
+   * @param {string} mimeType - e.g. "application/json;charset=utf-8;".
+   */
+  const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement("a");
+    const url = URL.createObjectURL(blob);
+    link.setAttribute("href", url);
+    link.setAttribute("download", filename);
+    link.style.visibility = "hidden";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Downloads CSV content as a file.
+   * @param {string} csvContent - The CSV content.
+   * @param {string} filename - The filename for the download.
+   */
+  const downloadCSV = (csvContent, filename) => {
+    downloadFile(csvContent, filename, CSV_MIME_TYPE);
+  };
+
+  window.CsvExport = {
+    escapeCSV,
+    downloadFile,
+    downloadCSV,
+  };
+})();
@@ -1,127 +1,402 @@
-/* global dayjs */
+/* global dayjs, dayjs_plugin_utc, dayjs_plugin_timezone */
+
+// --- Time Zone ---
+
+// The utc and timezone plugins are loaded from the dayjs CDN before this file.
+if (
+  typeof dayjs_plugin_utc !== "undefined" &&
+  typeof dayjs_plugin_timezone !== "undefined"
+) {
+  dayjs.extend(dayjs_plugin_utc);
+  dayjs.extend(dayjs_plugin_timezone);
+}
+
+// IANA zone (e.g. "America/New_York") used for day boundaries, weekends and holidays.
+// null means the browser's own time zone.
+let activeTimeZone = null;
+
+/**
+ * Checks that a time zone name is a valid IANA zone.
+ * @param {string} zone - Time zone name.
+ * @returns {boolean}
+ */
+const isValidTimeZone = (zone) => {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Sets the time zone used by business-time calculations.
+ * @param {string|null} [zone] - IANA zone, or empty to use the browser's time zone.
+ */
+const setTimeZone = (zone) => {
+  if (zone && (!dayjs.tz || !isValidTimeZone(zone))) {
+    console.warn(`Time zone "${zone}" is not available, using local time.`);
+  }
+  activeTimeZone = zone && dayjs.tz && isValidTimeZone(zone) ? zone : null;
+};
+
+/**
+ * Gets the time zone business-time calculations are done in.
+ * @returns {string} IANA zone (the browser's own when no board time zone is set).
+ */
+const getTimeZone = () =>
+  activeTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Gets the calendar date of an instant in the active time zone.
+ * @param {Date|dayjs.Dayjs} date - The instant.
+ * @returns {string} Date in 'YYYY-MM-DD' format.
+ */
+const toCalendarDate = (date) =>
+  (activeTimeZone ? dayjs(date).tz(activeTimeZone) : dayjs(date)).format(
+    "YYYY-MM-DD",
+  );
+
+/**
+ * Gets the instant of a wall-clock time in the active time zone.
+ * Built from the date and time text so DST changes move the offset, not the time of day.
+ * @param {string} dateString - Date in 'YYYY-MM-DD' format.
+ * @param {number} minutes - Minutes after midnight (1440 is midnight at the end of the day).
+ * @returns {dayjs.Dayjs}
+ */
+const atMinuteOfDay = (dateString, minutes) => {
+  const dayOffset = Math.floor(minutes / (24 * 60));
+  const minuteOfDay = minutes % (24 * 60);
+  const date = dayjs(dateString).add(dayOffset, "day").format("YYYY-MM-DD");
+  const time = [Math.floor(minuteOfDay / 60), minuteOfDay % 60]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+
+  return activeTimeZone
+    ? dayjs.tz(`${date} ${time}`, activeTimeZone)
+    : dayjs(`${date} ${time}`);
+};
 
 // --- Holiday Configuration ---
 
-// Rules for calculating US federal holidays.
-// This approach ensures holidays are correctly calculated for any year.
-const HOLIDAY_RULES = {
-  // Fixed date holidays (Month is 0-indexed, Day is 1-indexed)
-  fixed: [
-    { month: 0, day: 1, name: "New Year's Day" },
-    { month: 6, day: 4, name: "Independence Day" },
-    { month: 11, day: 25, name: "Christmas Day" },
-    { month: 12, day: 31, name: "New Year's Eve" },
-    { month: 7, day: 14, name: "TurboTenant Day" },
-    // NOTE: Add any other fixed-date holidays your company observes here.
-  ],
-  // Floating holidays, based on the Nth day of the week in a month.
-  floating: [
-    { month: 0, dayOfWeek: 1, week: 3, name: "Martin Luther King, Jr. Day" }, // 3rd Monday in January
-    { month: 4, dayOfWeek: 1, week: -1, name: "Memorial Day" }, // Last Monday in May
-    { month: 8, dayOfWeek: 1, week: 1, name: "Labor Day" }, // 1st Monday in September
-    { month: 10, dayOfWeek: 4, week: 4, name: "Thanksgiving Day" }, // 4th Thursday in November
-  ],
+// Default holiday calendar (US federal holidays plus company days), used until a board
+// or organization saves its own calendar from the Power-Up settings (see calendar-settings.js).
+// Rule types (month is 0-indexed, day is 1-indexed, dayOfWeek is 0 = Sunday):
+// - fixed:        { type: "fixed", month, day, observed }
+// - nth-weekday:  { type: "nth-weekday", month, dayOfWeek, week } (week 1-5)
+// - last-weekday: { type: "last-weekday", month, dayOfWeek }
+// - date:         { type: "date", date: "YYYY-MM-DD" } (one-off)
+// `observed` moves a fixed holiday that falls on a weekend to a working day:
+// "nearest" (Saturday -> Friday, Sunday -> Monday), or a custom
+// { saturday, sunday } map whose values are "friday", "monday" or "none".
+// Without it the holiday stays on the weekend date.
+const DEFAULT_HOLIDAY_RULES = [
+  {
+    type: "fixed",
+    month: 0,
+    day: 1,
+    observed: "nearest",
+    name: "New Year's Day",
+  },
+  {
+    type: "fixed",
+    month: 6,
+    day: 4,
+    observed: "nearest",
+    name: "Independence Day",
+  },
+  {
+    type: "fixed",
+    month: 11,
+    day: 25,
+    observed: "nearest",
+    name: "Christmas Day",
+  },
+  { type: "fixed", month: 11, day: 31, name: "New Year's Eve" },
+  {
+    type: "nth-weekday",
+    month: 0,
+    dayOfWeek: 1,
+    week: 3,
+    name: "Martin Luther King, Jr. Day",
+  }, // 3rd Monday in January
+  { type: "last-weekday", month: 4, dayOfWeek: 1, name: "Memorial Day" }, // Last Monday in May
+  { type: "nth-weekday", month: 8, dayOfWeek: 1, week: 1, name: "Labor Day" }, // 1st Monday in September
+  {
+    type: "nth-weekday",
+    month: 10,
+    dayOfWeek: 4,
+    week: 4,
+    name: "Thanksgiving Day",
+  }, // 4th Thursday in November
+];
+
+// Calendar used by the business-time functions below. Replaced by setHolidayRules()
+// once the board's saved calendar has been loaded.
+let activeHolidayRules = DEFAULT_HOLIDAY_RULES;
+
+/**
+ * Sets the holiday rules used by getHolidaysForYear and the business-time functions.
+ * @param {Array|null} rules - Holiday rules; falsy resets to DEFAULT_HOLIDAY_RULES.
+ */
+const setHolidayRules = (rules) => {
+  activeHolidayRules = Array.isArray(rules) ? rules : DEFAULT_HOLIDAY_RULES;
+};
+
+/**
+ * Gets the holiday rules currently in use.
+ * @returns {Array} Holiday rules.
+ */
+const getHolidayRules = () => activeHolidayRules;
+
+// Days to add when a weekend holiday is observed on the given weekday.
+const OBSERVED_SHIFT_DAYS = {
+  friday: { saturday: -1, sunday: -2 },
+  monday: { saturday: 2, sunday: 1 },
+};
+
+const NEAREST_WEEKDAY_OBSERVANCE = { saturday: "friday", sunday: "monday" };
+
+/**
+ * Moves a weekend holiday to the day it is observed on.
+ * @param {dayjs.Dayjs} date - The holiday's actual date.
+ * @param {string|Object} [observed] - "nearest" or { saturday, sunday } (see DEFAULT_HOLIDAY_RULES).
+ * @returns {dayjs.Dayjs} The observed date (unchanged on weekdays or without an observance).
+ */
+const getObservedDate = (date, observed) => {
+  const observance =
+    observed === "nearest" ? NEAREST_WEEKDAY_OBSERVANCE : observed;
+  if (!observance || typeof observance !== "object") {
+    return date;
+  }
+
+  const weekendDay =
+    date.day() === 6 ? "saturday" : date.day() === 0 ? "sunday" : null;
+  const observedOn = weekendDay && observance[weekendDay];
+  const shiftDays =
+    observedOn && OBSERVED_SHIFT_DAYS[observedOn]
+      ? OBSERVED_SHIFT_DAYS[observedOn][weekendDay]
+      : 0;
+
+  return shiftDays ? date.add(shiftDays, "day") : date;
+};
+
+/**
+ * Resolves a single holiday rule to its date in a given year.
+ * @param {Object} rule - A holiday rule (see DEFAULT_HOLIDAY_RULES).
+ * @param {number} year - The year.
+ * @returns {dayjs.Dayjs|null} The holiday date, or null if the rule doesn't apply that year.
+ */
+const getHolidayRuleDate = (rule, year) => {
+  if (rule.type === "date") {
+    const date = dayjs(rule.date);
+    return date.isValid() && date.year() === year ? date : null;
+  }
+
+  if (rule.type === "last-weekday") {
+    // Last week of the month - find last occurrence of dayOfWeek
+    let day = dayjs(new Date(year, rule.month + 1, 0)); // Last day of month
+    while (day.day() !== rule.dayOfWeek) {
+      day = day.subtract(1, "day");
+    }
+    return day;
+  }
+
+  if (rule.type === "nth-weekday") {
+    // Find Nth occurrence of dayOfWeek
+    let day = dayjs(new Date(year, rule.month, 1));
+    while (day.day() !== rule.dayOfWeek) {
+      day = day.add(1, "day");
+    }
+    day = day.add(rule.week - 1, "week");
+    // A 5th occurrence doesn't exist in every month
+    return day.month() === rule.month ? day : null;
+  }
+
+  // Fixed date; skip impossible dates such as Feb 30
+  const date = dayjs(new Date(year, rule.month, rule.day));
+  return date.month() === rule.month ? date : null;
 };
 
 /**
- * Generates a list of holiday dates for a given year based on HOLIDAY_RULES.
+ * Lists the holidays of a year with their names, sorted by date.
+ * Fixed holidays are moved to their observed date; an observance can cross into
+ * a neighboring year (e.g. Saturday Jan 1 observed on Friday Dec 31).
  * @param {number} year The year to generate holidays for.
- * @returns {string[]} An array of holiday dates in 'YYYY-MM-DD' format.
+ * @param {Array} [rules] Holiday rules. Defaults to the active calendar.
+ * @returns {Array<{date: string, name: string}>} Holidays with dates in 'YYYY-MM-DD' format.
  */
-const getHolidaysForYear = (year) => {
-  const holidays = [];
+const getHolidayEntriesForYear = (year, rules = activeHolidayRules) => {
+  const entries = [];
+
+  [year - 1, year, year + 1].forEach((ruleYear) => {
+    rules.forEach((rule) => {
+      const holiday = getHolidayRuleDate(rule, ruleYear);
+      if (!holiday) return;
 
-  // Calculate fixed holidays
-  HOLIDAY_RULES.fixed.forEach((rule) => {
-    const holiday = dayjs(new Date(year, rule.month, rule.day)).format(
-      "YYYY-MM-DD"
-    );
-    holidays.push(holiday);
+      const observedDate =
+        rule.type === "fixed"
+          ? getObservedDate(holiday, rule.observed)
+          : holiday;
+      if (observedDate.year() !== year) return;
+
+      entries.push({
+        date: observedDate.format("YYYY-MM-DD"),
+        name: observedDate.isSame(holiday, "day")
+          ? rule.name
+          : `${rule.name} (observed)`,
+      });
+    });
   });
 
-  // Calculate floating holidays
-  HOLIDAY_RULES.floating.forEach((rule) => {
-    let holiday;
-    if (rule.week === -1) {
-      // Last week of the month - find last occurrence of dayOfWeek
-      let day = dayjs(new Date(year, rule.month + 1, 0)); // Last day of month
-      while (day.day() !== rule.dayOfWeek) {
-        day = day.subtract(1, "day");
-      }
-      holiday = day;
-    } else {
-      // Find Nth occurrence of dayOfWeek
-      let day = dayjs(new Date(year, rule.month, 1));
-      let count = 0;
-      while (count < rule.week) {
-        if (day.day() === rule.dayOfWeek) {
-          count++;
-          if (count < rule.week) {
-            day = day.add(7, "day");
-          }
-        } else {
-          day = day.add(1, "day");
-        }
-      }
-      holiday = day;
-    }
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Generates a list of holiday dates for a given year from the holiday calendar.
+ * @param {number} year The year to generate holidays for.
+ * @param {Array} [rules] Holiday rules. Defaults to the active calendar.
+ * @returns {string[]} An array of holiday dates in 'YYYY-MM-DD' format.
+ */
+const getHolidaysForYear = (year, rules = activeHolidayRules) => {
+  return getHolidayEntriesForYear(year, rules).map((entry) => entry.date);
+};
+
+// Default working day: the whole day counts, as before working hours were configurable.
+// Times are "HH:mm"; an end of "24:00" means midnight at the end of the day.
+// Boards can set e.g. { start: "09:00", end: "17:00", breaks: [{ start: "12:00", end: "13:00" }] }
+// from the Power-Up settings (see calendar-settings.js).
+const DEFAULT_WORKING_HOURS = { start: "00:00", end: "24:00", breaks: [] };
+
+let activeWorkingHours = DEFAULT_WORKING_HOURS;
 
-    holidays.push(holiday.format("YYYY-MM-DD"));
+/**
+ * Sets the working hours used by business-time calculations.
+ * @param {Object} [workingHours] - { start, end, breaks }. Falls back to DEFAULT_WORKING_HOURS.
+ */
+const setWorkingHours = (workingHours) => {
+  activeWorkingHours =
+    workingHours && workingHours.start && workingHours.end
+      ? workingHours
+      : DEFAULT_WORKING_HOURS;
+};
+
+/**
+ * Gets the working hours currently used by business-time calculations.
+ * @returns {Object} { start, end, breaks }.
+ */
+const getWorkingHours = () => activeWorkingHours;
+
+/**
+ * Converts an "HH:mm" time to minutes after midnight.
+ * @param {string} time - Time of day, "00:00" to "24:00".
+ * @returns {number} Minutes after midnight, or NaN if the time is malformed.
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) return NaN;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes <= 24 * 60 ? minutes : NaN;
+};
+
+/**
+ * Splits the working day into the intervals that count as business time.
+ * @param {Object} [workingHours] - { start, end, breaks }. Defaults to the active working hours.
+ * @returns {Array<{start: number, end: number}>} Intervals in minutes after midnight, sorted.
+ */
+const getWorkingIntervals = (workingHours = activeWorkingHours) => {
+  const dayStart = parseTimeOfDay(workingHours.start);
+  const dayEnd = parseTimeOfDay(workingHours.end);
+  if (!(dayStart < dayEnd)) return [];
+
+  const breaks = (workingHours.breaks || [])
+    .map((b) => ({
+      start: parseTimeOfDay(b.start),
+      end: parseTimeOfDay(b.end),
+    }))
+    .filter((b) => b.start < b.end)
+    .sort((a, b) => a.start - b.start);
+
+  const intervals = [];
+  let cursor = dayStart;
+  breaks.forEach((b) => {
+    if (b.start > cursor) {
+      intervals.push({ start: cursor, end: Math.min(b.start, dayEnd) });
+    }
+    cursor = Math.max(cursor, b.end);
   });
+  if (cursor < dayEnd) {
+    intervals.push({ start: cursor, end: dayEnd });
+  }
 
-  return holidays;
+  return intervals.filter((interval) => interval.start < interval.end);
 };
 
 /**
- * Calculates business minutes between two dates, excluding weekends and holidays.
+ * Gets the length of one working day, i.e. what one business day means in minutes.
+ * @param {Object} [workingHours] - { start, end, breaks }. Defaults to the active working hours.
+ * @returns {number} Working minutes per business day.
+ */
+const getWorkingMinutesPerDay = (workingHours = activeWorkingHours) =>
+  getWorkingIntervals(workingHours).reduce(
+    (total, interval) => total + interval.end - interval.start,
+    0,
+  );
+
+/**
+ * Calculates business minutes between two dates: time inside the working hours
+ * of days that are not weekends or holidays, in the active time zone.
  * @param {Date} startDate - The start of the period.
  * @param {Date} endDate - The end of the period.
+ * @param {Object} [options]
+ * @param {Set<string>|string[]} [options.excludedDates] - Extra 'YYYY-MM-DD' days that don't count
+ *   (e.g. days the card's assignees were out of office).
  * @returns {number} Total business minutes.
  */
-const calculateBusinessMinutes = (startDate, endDate) => {
-  let totalMinutes = 0;
+const calculateBusinessMinutes = (startDate, endDate, options = {}) => {
+  const excludedDates = new Set(options.excludedDates || []);
+  const start = dayjs(startDate);
+  const end = dayjs(endDate);
+  const intervals = getWorkingIntervals();
   const holidaysByYear = {};
+  let totalMs = 0;
 
-  let currentDate = dayjs(startDate);
-  const end = dayjs(endDate);
+  // Walk calendar dates rather than adding 24h, so DST days keep their real length.
+  let dateString = toCalendarDate(start);
+  const lastDateString = toCalendarDate(end);
+  while (dateString <= lastDateString) {
+    const currentDay = dayjs(dateString);
 
-  while (currentDate.isBefore(end)) {
-    const year = currentDate.year();
-    if (!holidaysByYear[year]) {
-      holidaysByYear[year] = getHolidaysForYear(year);
-    }
-    const holidays = holidaysByYear[year];
-    const formattedDate = currentDate.format("YYYY-MM-DD");
-    const dayOfWeek = currentDate.day();
-
-    // Check if it's a weekday and not a holiday
-    if (dayOfWeek > 0 && dayOfWeek < 6 && !holidays.includes(formattedDate)) {
-      const startOfDay = currentDate.startOf("day");
-      const endOfDay = currentDate.endOf("day");
-
-      const effectiveStart = currentDate.isSame(startDate, "day")
-        ? dayjs(startDate)
-        : startOfDay;
-      const effectiveEnd = currentDate.isSame(endDate, "day")
-        ? dayjs(endDate)
-        : endOfDay;
-
-      totalMinutes += effectiveEnd.diff(effectiveStart, "minute");
+    if (isBusinessDay(currentDay, holidaysByYear, excludedDates)) {
+      intervals.forEach((interval) => {
+        const intervalStart = atMinuteOfDay(dateString, interval.start);
+        const intervalEnd = atMinuteOfDay(dateString, interval.end);
+        const effectiveStart = intervalStart.isAfter(start)
+          ? intervalStart
+          : start;
+        const effectiveEnd = intervalEnd.isBefore(end) ? intervalEnd : end;
+
+        if (effectiveEnd.isAfter(effectiveStart)) {
+          totalMs += effectiveEnd.diff(effectiveStart);
+        }
+      });
     }
 
-    currentDate = currentDate.add(1, "day");
+    dateString = currentDay.add(1, "day").format("YYYY-MM-DD");
   }
 
-  return totalMinutes;
+  return Math.floor(totalMs / (60 * 1000));
 };
 
 /**
  * Checks if a given date is a business day (not a weekend or holiday).
- * @param {dayjs.Dayjs} date - The date to check.
+ * @param {dayjs.Dayjs} date - The calendar day to check (its date in the active time zone).
  * @param {Object.<string, string[]>} holidaysByYear - A cache of holidays.
+ * @param {Set<string>} [excludedDates] - Extra 'YYYY-MM-DD' days that are not business days.
  * @returns {boolean} True if the date is a business day.
  */
-const isBusinessDay = (date, holidaysByYear) => {
+const isBusinessDay = (date, holidaysByYear, excludedDates) => {
   const year = date.year();
   if (!holidaysByYear[year]) {
     holidaysByYear[year] = getHolidaysForYear(year);
@@ -130,32 +405,52 @@ const isBusinessDay = (date, holidaysByYear) => {
   const formattedDate = date.format("YYYY-MM-DD");
   const dayOfWeek = date.day();
 
-  return dayOfWeek > 0 && dayOfWeek < 6 && !holidays.includes(formattedDate);
+  return (
+    dayOfWeek > 0 &&
+    dayOfWeek < 6 &&
+    !holidays.includes(formattedDate) &&
+    !(excludedDates && excludedDates.has(formattedDate))
+  );
 };
 
 /**
  * Adds a specified number of business days to a given start date,
- * excluding weekends and holidays.
+ * excluding weekends and holidays. Days are counted in the active time zone
+ * and the result keeps the start's time of day there.
  * @param {Date} startDate - The date to start from.
  * @param {number} daysToAdd - The number of business days to add.
+ * @param {Object} [options]
+ * @param {Set<string>|string[]} [options.excludedDates] - Extra 'YYYY-MM-DD' days to skip
+ *   (e.g. days the assignee is out of office).
  * @returns {{endDate: Date, totalDaysAdded: number}} An object containing the final business day and the total calendar days that were added.
  */
-function addBusinessDays(startDate, daysToAdd) {
+function addBusinessDays(startDate, daysToAdd, options = {}) {
+  const excludedDates = new Set(options.excludedDates || []);
   const holidaysByYear = {};
-  let calculatedDate = dayjs(startDate);
+  const start = activeTimeZone
+    ? dayjs(startDate).tz(activeTimeZone)
+    : dayjs(startDate);
+  let calculatedDate = dayjs(start.format("YYYY-MM-DD"));
   let daysCounted = 0;
   let calendarDays = 0;
 
   while (daysCounted < daysToAdd) {
     calculatedDate = calculatedDate.add(1, "day");
     calendarDays++;
-    if (isBusinessDay(calculatedDate, holidaysByYear)) {
+    if (isBusinessDay(calculatedDate, holidaysByYear, excludedDates)) {
       daysCounted++;
     }
   }
 
+  const endDate = atMinuteOfDay(
+    calculatedDate.format("YYYY-MM-DD"),
+    start.hour() * 60 + start.minute(),
+  )
+    .add(start.second(), "second")
+    .add(start.millisecond(), "millisecond");
+
   return {
-    endDate: calculatedDate.toDate(),
+    endDate: endDate.toDate(),
     totalDaysAdded: calendarDays,
   };
 }
@@ -0,0 +1,220 @@
+/**
+ * Converts iCalendar (.ics) files into holiday rules for the holiday calendar.
+ * Each VEVENT becomes one rule per day it covers: a one-off "date" rule, or, for events with a
+ * yearly RRULE, a "fixed" rule (or "nth-weekday" / "last-weekday" when the RRULE uses BYDAY).
+ * A weekday rule only fits the first day of a multi-day event, so the later days become one-off dates.
+ * COUNT and UNTIL limits are ignored; other recurrences are imported as one-off dates.
+ * Exposes window.IcsImport.
+ */
+(function () {
+  "use strict";
+
+  // Longest all-day event (in days) that is expanded into individual holidays.
+  const MAX_EVENT_DAYS = 31;
+
+  const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+  /**
+   * Splits .ics text into content lines, joining folded lines.
+   * @param {string} text - Raw .ics contents.
+   * @returns {string[]}
+   */
+  const unfoldLines = (text) =>
+    text
+      .replace(/\r\n/g, "\n")
+      .replace(/\n[ \t]/g, "")
+      .split("\n")
+      .filter((line) => line.trim() !== "");
+
+  /**
+   * Parses a content line such as "DTSTART;VALUE=DATE:20261225".
+   * @param {string} line
+   * @returns {{name: string, params: Object.<string, string>, value: string}|null}
+   */
+  const parseContentLine = (line) => {
+    const colonIndex = line.indexOf(":");
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(";");
+    const params = {};
+    paramParts.forEach((part) => {
+      const [key, value] = part.split("=");
+      if (key) params[key.toUpperCase()] = value || "";
+    });
+
+    return {
+      name: name.toUpperCase(),
+      params,
+      value: line.slice(colonIndex + 1),
+    };
+  };
+
+  const unescapeText = (value) =>
+    value
+      .replace(/\\n/gi, " ")
+      .replace(/\\([,;\\])/g, "$1")
+      .trim();
+
+  /**
+   * Reads the calendar date of a DATE or DATE-TIME value (e.g. "20261225" or "20261225T090000Z").
+   * @param {string} value
+   * @returns {string|null} Date in 'YYYY-MM-DD' format.
+   */
+  const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+
+  /**
+   * Parses an RRULE value into its parts.
+   * @param {string} value - e.g. "FREQ=YEARLY;BYMONTH=1;BYDAY=3MO".
+   * @returns {Object.<string, string>}
+   */
+  const parseRecurrence = (value) => {
+    const parts = {};
+    value.split(";").forEach((part) => {
+      const [key, partValue] = part.split("=");
+      if (key) parts[key.toUpperCase()] = (partValue || "").toUpperCase();
+    });
+    return parts;
+  };
+
+  /**
+   * Lists the days an event covers. All-day DTEND is exclusive; timed events cover their start day.
+   * @param {string} start - 'YYYY-MM-DD'.
+   * @param {string|null} end - 'YYYY-MM-DD' from DTEND, if any.
+   * @param {boolean} isAllDay
+   * @returns {string[]}
+   */
+  const getEventDays = (start, end, isAllDay) => {
+    const days = [start];
+    if (!isAllDay || !end) return days;
+
+    const startDate = new Date(`${start}T00:00:00Z`);
+    const endDate = new Date(`${end}T00:00:00Z`);
+    for (
+      let day = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
+      day < endDate && days.length < MAX_EVENT_DAYS;
+      day = new Date(day.getTime() + 24 * 60 * 60 * 1000)
+    ) {
+      days.push(day.toISOString().slice(0, 10));
+    }
+    return days;
+  };
+
+  /**
+   * Builds the holiday rule for one day of an event.
+   * @param {string} date - 'YYYY-MM-DD'.
+   * @param {string} name - Holiday name.
+   * @param {Object.<string, string>|null} recurrence - Parsed RRULE, if any.
+   * @returns {Object} Holiday rule.
+   */
+  const createRuleForDay = (date, name, recurrence) => {
+    if (!recurrence || recurrence.FREQ !== "YEARLY") {
+      return { type: "date", date, name };
+    }
+
+    const [, month, day] = date.split("-").map((part) => parseInt(part, 10));
+    const ruleMonth = recurrence.BYMONTH
+      ? parseInt(recurrence.BYMONTH, 10) - 1
+      : month - 1;
+    const byDay = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(
+      recurrence.BYDAY || "",
+    );
+
+    if (byDay) {
+      const dayOfWeek = WEEKDAY_CODES.indexOf(byDay[2]);
+      const week = byDay[1] ? parseInt(byDay[1], 10) : null;
+      if (week === -1) {
+        return { type: "last-weekday", month: ruleMonth, dayOfWeek, name };
+      }
+      if (week >= 1 && week <= 5) {
+        return { type: "nth-weekday", month: ruleMonth, dayOfWeek, week, name };
+      }
+    }
+
+    // Plain yearly recurrence (or a BYDAY form we don't model): same date every year.
+    return { type: "fixed", month: month - 1, day, name };
+  };
+
+  /**
+   * Parses .ics text into holiday rules.
+   * @param {string} text - Raw .ics contents.
+   * @returns {{rules: Array, eventCount: number, oneOffDayCount: number}} Rules (one per holiday day),
+   *   how many VEVENTs were read, and how many later days of yearly weekday events became one-off dates.
+   * @throws {Error} If the text has no VEVENT.
+   */
+  const parseIcsHolidays = (text) => {
+    const rules = [];
+    let eventCount = 0;
+    let oneOffDayCount = 0;
+    let event = null;
+
+    unfoldLines(text || "").forEach((line) => {
+      const property = parseContentLine(line);
+      if (!property) return;
+
+      if (
+        property.name === "BEGIN" &&
+        property.value.toUpperCase() === "VEVENT"
+      ) {
+        event = {};
+        return;
+      }
+      if (
+        property.name === "END" &&
+        property.value.toUpperCase() === "VEVENT"
+      ) {
+        if (event && event.start) {
+          eventCount++;
+          const name = event.name || "Holiday";
+          const [firstDay, ...laterDays] = getEventDays(
+            event.start,
+            event.end,
+            event.isAllDay,
+          );
+          const firstRule = createRuleForDay(firstDay, name, event.recurrence);
+          rules.push(firstRule);
+          // The rest of the event falls on other weekdays, so the first day's rule can't
+          // describe them (each would repeat it and the days would be lost)
+          const isWeekdayRule =
+            firstRule.type === "nth-weekday" ||
+            firstRule.type === "last-weekday";
+          laterDays.forEach((day) => {
+            if (isWeekdayRule) {
+              rules.push({ type: "date", date: day, name });
+              oneOffDayCount++;
+            } else {
+              rules.push(createRuleForDay(day, name, event.recurrence));
+            }
+          });
+        }
+        event = null;
+        return;
+      }
+      if (!event) return;
+
+      if (property.name === "DTSTART") {
+        event.start = parseIcsDate(property.value);
+        event.isAllDay =
+          property.params.VALUE === "DATE" || /^\d{8}$/.test(property.value);
+      } else if (property.name === "DTEND") {
+        event.end = parseIcsDate(property.value);
+      } else if (property.name === "SUMMARY") {
+        event.name = unescapeText(property.value);
+      } else if (property.name === "RRULE") {
+        event.recurrence = parseRecurrence(property.value);
+      }
+    });
+
+    if (eventCount === 0) {
+      throw new Error("No events found in the iCalendar file.");
+    }
+
+    return { rules, eventCount, oneOffDayCount };
+  };
+
+  window.IcsImport = {
+    parseIcsHolidays,
+  };
+})();
@@ -0,0 +1,286 @@
+/* global dayjs */
+
+/**
+ * Member out-of-office calendar shared by all power-ups.
+ * Absences are stored in Trello shared board storage as { [memberId]: [{ start, end }] } with
+ * inclusive 'YYYY-MM-DD' dates. Business-time calculations can exclude the days on which all of a
+ * card's assignees were out by passing getExcludedDatesForMembers() as the excludedDates option
+ * of calculateBusinessMinutes / addBusinessDays.
+ * Depends on: dayjs.
+ * Exposes window.MemberAbsences.
+ */
+(function () {
+  "use strict";
+
+  const MEMBER_ABSENCES_KEY = "memberAbsences";
+  const EXCLUDE_ABSENCE_KEY = "excludeAssigneeAbsence";
+
+  // Trello allows each Power-Up 4096 characters of shared board storage, which absences share
+  // with the holiday calendar, working hours and the Power-Up's own settings
+  const SHARED_STORAGE_LIMIT = 4096;
+  const ABSENCES_SIZE_WARNING = SHARED_STORAGE_LIMIT / 2;
+
+  /**
+   * Gets every member's absences on the board.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<Object.<string, Array<{start: string, end: string}>>>}
+   */
+  const getMemberAbsences = async (t) => {
+    const absences = await t.get("board", "shared", MEMBER_ABSENCES_KEY);
+    return absences && typeof absences === "object" ? absences : {};
+  };
+
+  /**
+   * Saves every member's absences on the board.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {Object.<string, Array<{start: string, end: string}>>} absences - Absences by member ID.
+   * @returns {Promise<void>}
+   */
+  const saveMemberAbsences = async (t, absences) => {
+    await t.set("board", "shared", MEMBER_ABSENCES_KEY, absences);
+  };
+
+  /**
+   * Checks whether this Power-Up excludes assignee absence from business time.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @returns {Promise<boolean>}
+   */
+  const isAbsenceExclusionEnabled = async (t) => {
+    const enabled = await t.get("board", "shared", EXCLUDE_ABSENCE_KEY);
+    return enabled === true;
+  };
+
+  /**
+   * Turns "exclude assignee absence" on or off for this Power-Up.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  const setAbsenceExclusionEnabled = async (t, enabled) => {
+    await t.set("board", "shared", EXCLUDE_ABSENCE_KEY, Boolean(enabled));
+  };
+
+  /**
+   * Expands absence ranges into the individual days they cover.
+   * @param {Array<{start: string, end: string}>} ranges - Inclusive date ranges.
+   * @returns {Set<string>} Days in 'YYYY-MM-DD' format.
+   */
+  const getAbsenceDates = (ranges) => {
+    const dates = new Set();
+    (ranges || []).forEach((range) => {
+      let day = dayjs(range.start);
+      const end = dayjs(range.end);
+      if (!day.isValid() || !end.isValid()) return;
+
+      while (!day.isAfter(end, "day")) {
+        dates.add(day.format("YYYY-MM-DD"));
+        day = day.add(1, "day");
+      }
+    });
+    return dates;
+  };
+
+  /**
+   * Gets the days on which every given member was out, i.e. days no assignee could work the card.
+   * @param {Object.<string, Array>} absences - Absences by member ID.
+   * @param {string[]} memberIds - The card's assignees.
+   * @returns {Set<string>} Days in 'YYYY-MM-DD' format (empty for unassigned cards).
+   */
+  const getExcludedDatesForMembers = (absences, memberIds) => {
+    if (!memberIds || memberIds.length === 0) {
+      return new Set();
+    }
+
+    const [firstMemberDates, ...otherMemberDates] = memberIds.map((memberId) =>
+      getAbsenceDates(absences[memberId]),
+    );
+    return new Set(
+      Array.from(firstMemberDates).filter((date) =>
+        otherMemberDates.every((dates) => dates.has(date)),
+      ),
+    );
+  };
+
+  const escapeHtml = (text) => {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  };
+
+  /**
+   * Formats an absence range for display (e.g. "Mar 2 – Mar 6, 2026").
+   * @param {{start: string, end: string}} range
+   * @returns {string}
+   */
+  const formatRange = (range) => {
+    const start = dayjs(range.start);
+    const end = dayjs(range.end);
+    if (start.isSame(end, "day")) {
+      return start.format("MMM D, YYYY");
+    }
+    return `${start.format(start.isSame(end, "year") ? "MMM D" : "MMM D, YYYY")} – ${end.format("MMM D, YYYY")}`;
+  };
+
+  /**
+   * Renders the out-of-office editor into a settings page container.
+   * Changes are saved as soon as an absence is added or removed; the editor only shows them once
+   * Trello has stored them. Warns once absences take up half of the shared board storage.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {HTMLElement} container - Element to render into.
+   * @param {Object} [options]
+   * @param {string} [options.exclusionLabel] - Shows an "exclude assignee absence" checkbox with this label.
+   * @returns {Promise<void>}
+   */
+  const renderMemberAbsenceSettings = async (t, container, options = {}) => {
+    const [board, storedAbsences, exclusionEnabled] = await Promise.all([
+      t.board("members"),
+      getMemberAbsences(t),
+      options.exclusionLabel ? isAbsenceExclusionEnabled(t) : false,
+    ]);
+    let absences = storedAbsences;
+    const members = (board.members || [])
+      .slice()
+      .sort((a, b) =>
+        (a.fullName || a.username).localeCompare(b.fullName || b.username),
+      );
+    const memberNames = {};
+    members.forEach((member) => {
+      memberNames[member.id] = member.fullName || member.username;
+    });
+
+    const absenceRowHtml = (row) => `<li class="holiday-rule-row">
+        <span class="holiday-rule-name">${escapeHtml(memberNames[row.memberId] || "Former member")}</span>
+        <span>${formatRange(row.range)}</span>
+        <button type="button" class="holiday-rule-delete" data-member-id="${row.memberId}" data-index="${row.index}" data-action="delete-absence" title="Remove absence">✕</button>
+      </li>`;
+
+    const showMessage = (text, isError) => {
+      const message = container.querySelector("#member-absence-message");
+      if (!message) return;
+      message.textContent = text;
+      message.classList.toggle("settings-error", Boolean(isError));
+    };
+
+    const render = () => {
+      const rows = [];
+      Object.keys(absences).forEach((memberId) => {
+        absences[memberId].forEach((range, index) => {
+          rows.push({ memberId, range, index });
+        });
+      });
+      rows.sort((a, b) => a.range.start.localeCompare(b.range.start));
+
+      const memberOptions = members
+        .map(
+          (member) =>
+            `<option value="${member.id}">${escapeHtml(memberNames[member.id])}</option>`,
+        )
+        .join("");
+
+      container.innerHTML = `
+        <h3 class="calendar-settings-title">Out of office</h3>
+        <p class="calendar-settings-desc">Record when members are away. On days when all of a card's members are out, the card isn't charged business time${
+          options.exclusionLabel ? " (when enabled below)" : ""
+        }.</p>
+        ${
+          options.exclusionLabel
+            ? `<label class="member-absence-toggle"><input type="checkbox" id="exclude-absence-checkbox"${exclusionEnabled ? " checked" : ""}> ${escapeHtml(options.exclusionLabel)}</label>`
+            : ""
+        }
+        <ul class="holiday-rule-list">
+          ${
+            rows.length === 0
+              ? '<li class="holiday-rule-row calendar-settings-desc">No absences recorded.</li>'
+              : rows.map(absenceRowHtml).join("")
+          }
+        </ul>
+        <div class="holiday-rule-row">
+          <select id="absence-member-select">${memberOptions}</select>
+          <input type="date" id="absence-start-input">
+          to <input type="date" id="absence-end-input">
+          <button type="button" class="calendar-secondary-btn" data-action="add-absence">+ Add</button>
+        </div>
+        <p class="calendar-settings-message" id="member-absence-message"></p>
+      `;
+      t.sizeTo("#content");
+    };
+
+    const save = async (nextAbsences, successMessage) => {
+      try {
+        await saveMemberAbsences(t, nextAbsences);
+      } catch (err) {
+        console.error("Failed to save absences:", err);
+        showMessage(`Could not save absences: ${err.message}`, true);
+        return;
+      }
+      absences = nextAbsences;
+      render();
+      const size = JSON.stringify(absences).length;
+      showMessage(
+        size > ABSENCES_SIZE_WARNING
+          ? `${successMessage} Absences now use ${size} of the ${SHARED_STORAGE_LIMIT} characters Trello allows per board; remove past absences to make room.`
+          : successMessage,
+        false,
+      );
+    };
+
+    container.addEventListener("change", async (event) => {
+      if (event.target.id !== "exclude-absence-checkbox") return;
+      try {
+        await setAbsenceExclusionEnabled(t, event.target.checked);
+      } catch (err) {
+        console.error("Failed to save absence setting:", err);
+      }
+    });
+
+    container.addEventListener("click", async (event) => {
+      const action = event.target.getAttribute("data-action");
+      if (action === "delete-absence") {
+        const memberId = event.target.getAttribute("data-member-id");
+        const index = parseInt(event.target.getAttribute("data-index"), 10);
+        const nextAbsences = {
+          ...absences,
+          [memberId]: absences[memberId].filter((range, i) => i !== index),
+        };
+        if (nextAbsences[memberId].length === 0) {
+          delete nextAbsences[memberId];
+        }
+        await save(nextAbsences, "Removed.");
+      } else if (action === "add-absence") {
+        const memberId = container.querySelector(
+          "#absence-member-select",
+        ).value;
+        const start = container.querySelector("#absence-start-input").value;
+        const end =
+          container.querySelector("#absence-end-input").value || start;
+        if (!memberId || !start) {
+          showMessage("Pick a member and a start date.", true);
+          return;
+        }
+        if (end < start) {
+          showMessage("The absence must end on or after its start date.", true);
+          return;
+        }
+        await save(
+          {
+            ...absences,
+            [memberId]: (absences[memberId] || []).concat({ start, end }),
+          },
+          "Saved!",
+        );
+      }
+    });
+
+    render();
+  };
+
+  window.MemberAbsences = {
+    getMemberAbsences,
+    saveMemberAbsences,
+    isAbsenceExclusionEnabled,
+    setAbsenceExclusionEnabled,
+    getAbsenceDates,
+    getExcludedDatesForMembers,
+    renderMemberAbsenceSettings,
+  };
+})();
@@ -1,58 +1,502 @@
 /* global APP_KEY */
 
 /**
- * Shared Trello API helpers used across power-ups.
+ * Shared Trello REST client used across power-ups.
+ * Every request goes through a token-bucket limiter sized to Trello's limits
+ * (300 requests / 10s per API key, 100 requests / 10s per token) and is retried
+ * on 429 responses, honoring Retry-After when Trello sends it.
+ * Failures are thrown as TrelloApiError so every power-up can handle them the same way.
  * Depends on: APP_KEY (global, from each power-up's constants.js).
  * Exposes window.TrelloApi.
  */
 (function () {
   "use strict";
 
+  const API_BASE_URL = "https://api.trello.com/1";
+
+  const RATE_LIMIT_WINDOW_MS = 10000;
+  const REQUESTS_PER_WINDOW_PER_KEY = 300;
+  const REQUESTS_PER_WINDOW_PER_TOKEN = 100;
+  const MAX_RETRIES = 3;
+  const DEFAULT_RETRY_DELAY_MS = 5000;
+
+  /** Maximum page size accepted by Trello's actions endpoints. */
+  const CARD_ACTIONS_PAGE_SIZE = 1000;
+
+  /** Default cap on the number of actions loaded for one card's history. */
+  const DEFAULT_MAX_CARD_ACTIONS = 5000;
+
+  /** Maximum number of routes Trello accepts in one /batch call. */
+  const MAX_BATCH_ROUTES = 10;
+
+  /**
+   * Error thrown for any failed Trello API call.
+   * `status` is the HTTP status, or 0 when the request never got a response.
+   */
+  class TrelloApiError extends Error {
+    /**
+     * @param {string} message - Human-readable message (safe to show in a toast).
+     * @param {Object} [details]
+     * @param {number} [details.status] - HTTP status code (0 for network errors).
+     * @param {string} [details.path] - API path that failed, without key/token.
+     * @param {string} [details.body] - Response body text, if any.
+     * @param {Error} [details.cause] - Underlying error for network failures.
+     */
+    constructor(message, { status = 0, path = "", body = "", cause } = {}) {
+      super(message);
+      this.name = "TrelloApiError";
+      this.status = status;
+      this.path = path;
+      this.body = body;
+      this.cause = cause;
+    }
+
+    get isNetworkError() {
+      return this.status === 0;
+    }
+
+    get isRateLimited() {
+      return this.status === 429;
+    }
+
+    get isUnauthorized() {
+      return this.status === 401;
+    }
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  /**
+   * Creates a token bucket that refills continuously at `capacity` tokens per window.
+   * @param {number} capacity - Maximum burst size (tokens per window).
+   * @param {number} windowMs - Window length in milliseconds.
+   * @returns {{take: Function, pause: Function}}
+   */
+  const createTokenBucket = (capacity, windowMs) => {
+    const refillPerMs = capacity / windowMs;
+    let tokens = capacity;
+    let lastRefillAt = Date.now();
+    let pausedUntil = 0;
+
+    const refill = () => {
+      const now = Date.now();
+      const elapsedMs = Math.max(0, now - lastRefillAt);
+      tokens = Math.min(capacity, tokens + elapsedMs * refillPerMs);
+      lastRefillAt = now;
+    };
+
+    /**
+     * Waits until a token is available, then consumes it.
+     * @returns {Promise<void>}
+     */
+    const take = async () => {
+      for (;;) {
+        const now = Date.now();
+        if (pausedUntil > now) {
+          await sleep(pausedUntil - now);
+          continue;
+        }
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) / refillPerMs));
+      }
+    };
+
+    /**
+     * Empties the bucket and blocks all takers for the given time (used after a 429).
+     * @param {number} ms - Milliseconds to wait before handing out tokens again.
+     */
+    const pause = (ms) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+      lastRefillAt = pausedUntil;
+    };
+
+    return { take, pause };
+  };
+
+  const keyBucket = createTokenBucket(
+    REQUESTS_PER_WINDOW_PER_KEY,
+    RATE_LIMIT_WINDOW_MS,
+  );
+  const tokenBuckets = new Map();
+
+  /**
+   * Returns the limiter for an API token, creating it on first use.
+   * @param {string} token - API token.
+   * @returns {{take: Function, pause: Function}}
+   */
+  const getTokenBucket = (token) => {
+    if (!tokenBuckets.has(token)) {
+      tokenBuckets.set(
+        token,
+        createTokenBucket(REQUESTS_PER_WINDOW_PER_TOKEN, RATE_LIMIT_WINDOW_MS),
+      );
+    }
+    return tokenBuckets.get(token);
+  };
+
+  /**
+   * Works out how long to wait before retrying a 429 response.
+   * @param {Response} response - The rate-limited response.
+   * @param {number} attempt - Zero-based retry attempt.
+   * @returns {number} Delay in milliseconds.
+   */
+  const getRetryDelayMs = (response, attempt) => {
+    const retryAfter = response.headers.get("Retry-After");
+    if (retryAfter) {
+      const seconds = parseInt(retryAfter, 10);
+      if (!isNaN(seconds) && seconds > 0) {
+        return seconds * 1000;
+      }
+    }
+    return Math.pow(2, attempt) * DEFAULT_RETRY_DELAY_MS;
+  };
+
+  /**
+   * Tells whether a 429 response hit the API key's limit, which every member of every board
+   * using the Power-Up shares, rather than the token's. Trello names the limit in the body.
+   * @param {Response} response - The rate-limited response.
+   * @returns {Promise<boolean>}
+   */
+  const isKeyLimitExceeded = async (response) => {
+    if (response.headers.get("x-rate-limit-api-key-remaining") === "0") {
+      return true;
+    }
+    const body = await response.text().catch(() => "");
+    return body.includes("API_KEY_LIMIT_EXCEEDED");
+  };
+
+  /**
+   * Builds a full API URL with key, token and query params.
+   * @param {string} path - API path starting with "/" (e.g. "/cards/abc").
+   * @param {string} token - API token.
+   * @param {Object} [params] - Query params; null/undefined values are skipped.
+   * @returns {string}
+   */
+  const buildUrl = (path, token, params = {}) => {
+    const query = new URLSearchParams();
+    Object.keys(params).forEach((name) => {
+      if (params[name] !== undefined && params[name] !== null) {
+        query.set(name, params[name]);
+      }
+    });
+    query.set("key", APP_KEY);
+    query.set("token", token);
+    return `${API_BASE_URL}${path}?${query.toString()}`;
+  };
+
+  /**
+   * Sends a rate-limited request to the Trello REST API.
+   * @param {string} path - API path starting with "/".
+   * @param {string} token - API token.
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method. Default "GET".
+   * @param {Object} [options.params] - Query params.
+   * @param {string} [options.description] - What the request does, used in error
+   *   messages (e.g. "fetch board lists" -> "Failed to fetch board lists: 404").
+   * @returns {Promise<*>} Parsed JSON response.
+   * @throws {TrelloApiError}
+   */
+  async function request(
+    path,
+    token,
+    { method = "GET", params = {}, description = `${method} ${path}` } = {},
+  ) {
+    const url = buildUrl(path, token, params);
+
+    for (let attempt = 0; ; attempt++) {
+      await keyBucket.take();
+      await getTokenBucket(token).take();
+
+      let response;
+      try {
+        response = await fetch(url, { method });
+      } catch (err) {
+        console.error(`Trello API network error (${description}):`, err);
+        throw new TrelloApiError(`Network error: ${err.message}`, {
+          path,
+          cause: err,
+        });
+      }
+
+      if (response.status === 429 && attempt < MAX_RETRIES) {
+        const waitMs = getRetryDelayMs(response, attempt);
+        const isKeyLimit = await isKeyLimitExceeded(response);
+        console.warn(
+          `Rate limited (429, ${isKeyLimit ? "API key" : "token"} limit). Waiting ${waitMs}ms before retry ${attempt + 1}/${MAX_RETRIES}...`,
+        );
+        getTokenBucket(token).pause(waitMs);
+        if (isKeyLimit) {
+          keyBucket.pause(waitMs);
+        }
+        continue;
+      }
+
+      if (!response.ok) {
+        const body = await response.text();
+        console.error(`Failed to ${description}: ${body}`);
+        throw new TrelloApiError(
+          `Failed to ${description}: ${response.status}`,
+          { status: response.status, path, body },
+        );
+      }
+
+      return response.json();
+    }
+  }
+
   /**
    * Fetches all lists for a board.
    * @param {string} boardId - The board ID.
    * @param {string} token - API token.
    * @returns {Promise<Array>} Array of list objects.
    */
-  async function fetchBoardLists(boardId, token) {
-    const response = await fetch(
-      `https://api.trello.com/1/boards/${boardId}/lists?key=${APP_KEY}&token=${token}`,
-    );
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Failed to fetch board lists: ${text}`);
-      throw new Error(`Failed to fetch board lists: ${response.status}`);
-    }
-    return response.json();
+  function fetchBoardLists(boardId, token) {
+    return request(`/boards/${boardId}/lists`, token, {
+      description: "fetch board lists",
+    });
   }
 
   /**
-   * Fetches card actions (e.g. list movements, createCard).
+   * Fetches all open cards on a board.
+   * @param {string} boardId - The board ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of card objects.
+   */
+  function fetchBoardCards(boardId, token) {
+    return request(`/boards/${boardId}/cards`, token, {
+      description: "fetch board cards",
+    });
+  }
+
+  /**
+   * Fetches all cards from a specific list.
+   * @param {string} listId - The list ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of card objects.
+   */
+  function fetchListCards(listId, token) {
+    return request(`/lists/${listId}/cards`, token, {
+      description: "fetch cards",
+    });
+  }
+
+  /**
+   * Updates card fields (e.g. idList, idMembers, due).
+   * @param {string} cardId - The card ID.
+   * @param {string} token - API token.
+   * @param {Object} fields - Fields to set, sent as query params.
+   * @returns {Promise<Object>} The updated card.
+   */
+  function updateCard(cardId, token, fields) {
+    return request(`/cards/${cardId}`, token, {
+      method: "PUT",
+      params: fields,
+      description: "update card",
+    });
+  }
+
+  /**
+   * Fetches one page of card actions (e.g. list movements, createCard).
    * @param {string} cardId - The card ID.
    * @param {string} token - API token.
    * @param {string} [filter] - Action filter. Default "updateCard,createCard".
    *   Use "updateCard:idList,createCard" for list movements only.
-   * @returns {Promise<Array>} Array of action objects.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size (Trello allows up to 1000).
+   * @param {string} [options.before] - Only return actions older than this action ID.
+   * @param {string} [options.since] - Only return actions newer than this action ID or date.
+   * @returns {Promise<Array>} Array of action objects, newest first.
    */
-  async function fetchCardActions(
+  function fetchCardActions(
     cardId,
     token,
     filter = "updateCard,createCard",
+    { limit, before, since } = {},
   ) {
-    const encodedFilter = encodeURIComponent(filter);
-    const response = await fetch(
-      `https://api.trello.com/1/cards/${cardId}/actions?filter=${encodedFilter}&key=${APP_KEY}&token=${token}`,
-    );
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Failed to fetch card actions: ${text}`);
-      throw new Error(`Failed to fetch card actions: ${response.status}`);
+    return request(`/cards/${cardId}/actions`, token, {
+      params: { filter, limit, before, since },
+      description: "fetch card actions",
+    });
+  }
+
+  /**
+   * Fetches a card's full action history by following the `before` cursor
+   * until a short page is returned or the cap is reached. The last page asks for one
+   * action more than the cap needs, so only a history that really is longer is reported
+   * as truncated.
+   * @param {string} cardId - The card ID.
+   * @param {string} token - API token.
+   * @param {string} [filter] - Action filter. Default "updateCard,createCard".
+   * @param {Object} [options]
+   * @param {number} [options.maxActions] - Stop after this many actions. Default 5000.
+   * @param {Function} [options.fetchPage] - Page loader with the signature of
+   *   fetchCardActions. Defaults to fetchCardActions.
+   * @param {string} [options.before] - Start below this action ID (to continue a page
+   *   that was loaded elsewhere, e.g. through /batch).
+   * @param {string} [options.since] - Only load actions newer than this action ID or
+   *   date (for incremental refreshes).
+   * @returns {Promise<Array>} Array of action objects, newest first.
+   */
+  async function fetchAllCardActions(
+    cardId,
+    token,
+    filter = "updateCard,createCard",
+    {
+      maxActions = DEFAULT_MAX_CARD_ACTIONS,
+      fetchPage = fetchCardActions,
+      before: startBefore,
+      since,
+    } = {},
+  ) {
+    if (maxActions <= 0) {
+      return [];
+    }
+
+    const allActions = [];
+    let before = startBefore;
+
+    for (;;) {
+      const remaining = maxActions - allActions.length;
+      const limit = Math.min(CARD_ACTIONS_PAGE_SIZE, remaining + 1);
+      const page = await fetchPage(cardId, token, filter, {
+        limit,
+        before,
+        since,
+      });
+
+      if (page.length > remaining) {
+        console.warn(
+          `Card ${cardId} history truncated at ${maxActions} actions (maxActions cap).`,
+        );
+        return allActions.concat(page.slice(0, remaining));
+      }
+      allActions.push(...page);
+
+      if (page.length < limit) {
+        return allActions;
+      }
+      before = page[page.length - 1].id;
     }
-    return response.json();
+  }
+
+  /**
+   * Fetches custom field items for a card.
+   * @param {string} cardId - The card ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of custom field items.
+   */
+  function fetchCardCustomFields(cardId, token) {
+    return request(`/cards/${cardId}/customFieldItems`, token, {
+      description: "fetch custom fields",
+    });
+  }
+
+  /**
+   * Fetches a card's checklists with their items.
+   * @param {string} cardId - The card ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of checklists, each with a checkItems array.
+   */
+  function fetchCardChecklists(cardId, token) {
+    return request(`/cards/${cardId}/checklists`, token, {
+      description: "fetch checklists",
+    });
+  }
+
+  /**
+   * Fetches custom field definitions for a board.
+   * @param {string} boardId - The board ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of custom field definitions.
+   */
+  function fetchBoardCustomFields(boardId, token) {
+    return request(`/boards/${boardId}/customFields`, token, {
+      description: "fetch custom field definitions",
+    });
+  }
+
+  /**
+   * Fetches all members of a board.
+   * @param {string} boardId - The board ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Array>} Array of member objects.
+   */
+  function fetchBoardMembers(boardId, token) {
+    return request(`/boards/${boardId}/members`, token, {
+      description: "fetch board members",
+    });
+  }
+
+  /**
+   * Fetches member details.
+   * @param {string} memberId - The member ID.
+   * @param {string} token - API token.
+   * @returns {Promise<Object>} Member object.
+   */
+  function fetchMember(memberId, token) {
+    return request(`/members/${memberId}`, token, {
+      description: "fetch member",
+    });
+  }
+
+  /**
+   * Runs up to 10 GET routes in a single call to Trello's /batch endpoint.
+   * Routes start with "/" and omit the API version, e.g. "/cards/abc/customFieldItems".
+   * Query values inside a route must be URI-encoded so that commas don't split the list.
+   * A failed route does not fail the whole call; check `ok` on each result.
+   * @param {string[]} routes - GET routes (max 10).
+   * @param {string} token - API token.
+   * @returns {Promise<Array<{ok: boolean, status: number, data: *, message: string}>>}
+   *   One result per route, in the same order.
+   */
+  async function fetchBatch(routes, token) {
+    if (routes.length > MAX_BATCH_ROUTES) {
+      throw new Error(
+        `fetchBatch accepts at most ${MAX_BATCH_ROUTES} routes (got ${routes.length})`,
+      );
+    }
+
+    const responses = await request("/batch", token, {
+      params: { urls: routes.join(",") },
+      description: "fetch batch",
+    });
+
+    return routes.map((route, index) => {
+      const item = responses[index] || {};
+      if (Object.prototype.hasOwnProperty.call(item, "200")) {
+        return { ok: true, status: 200, data: item["200"], message: "" };
+      }
+      return {
+        ok: false,
+        status: item.statusCode || item.status || 0,
+        data: null,
+        message: item.message || item.name || "Batch item failed",
+      };
+    });
   }
 
   window.TrelloApi = {
+    TrelloApiError,
+    request,
     fetchBoardLists,
+    fetchBoardCards,
+    fetchListCards,
+    updateCard,
     fetchCardActions,
+    fetchAllCardActions,
+    fetchCardCustomFields,
+    fetchCardChecklists,
+    fetchBoardCustomFields,
+    fetchBoardMembers,
+    fetchMember,
+    fetchBatch,
+    CARD_ACTIONS_PAGE_SIZE,
+    DEFAULT_MAX_CARD_ACTIONS,
+    MAX_BATCH_ROUTES,
   };
 })();
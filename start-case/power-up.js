@@ -1,4 +1,4 @@
-/* global TrelloPowerUp, dayjs, APP_KEY, APP_NAME, getAuthToken, showAuthorizePopup, handleAuthorization, TrelloApi */
+/* global TrelloPowerUp, dayjs, APP_KEY, APP_NAME, getAuthToken, showAuthorizePopup, handleAuthorization, TrelloApi, CalendarSettings, MemberAbsences */
 
 // === DEBUG LOGGING ===
 // console.log("🚀 Power-Up Start Case script loaded!");
@@ -39,13 +39,7 @@ const setInDevelopmentListId = async (t, listId) => {
  */
 const resolveInDevelopmentList = async (t, boardId, token) => {
   const savedListId = await getInDevelopmentListId(t);
-  const response = await fetch(
-    `https://api.trello.com/1/boards/${boardId}/lists?key=${APP_KEY}&token=${token}`,
-  );
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
-  }
-  const lists = await response.json();
+  const lists = await TrelloApi.fetchBoardLists(boardId, token);
   if (savedListId) {
     const list = lists.find((l) => l.id === savedListId);
     if (list) return list;
@@ -86,31 +80,13 @@ const startCaseCallback = async (t) => {
     const memberId = member.id;
 
     // 3. Move the card and assign the member in a single API call
-    const updateResponse = await fetch(
-      `https://api.trello.com/1/cards/${cardId}?idList=${inDevelopmentList.id}&idMembers=${memberId}&key=${APP_KEY}&token=${token}`,
-      {
-        method: "PUT",
-      },
-    );
-
-    if (!updateResponse.ok) {
-      throw new Error(
-        `Failed to update card. Status: ${updateResponse.status}`,
-      );
-    }
+    await TrelloApi.updateCard(cardId, token, {
+      idList: inDevelopmentList.id,
+      idMembers: memberId,
+    });
 
     // 4. Get custom fields on the board
-    const customFieldsResponse = await fetch(
-      `https://api.trello.com/1/boards/${boardId}/customFields?key=${APP_KEY}&token=${token}`,
-    );
-
-    if (!customFieldsResponse.ok) {
-      throw new Error(
-        `Failed to fetch custom fields. Status: ${customFieldsResponse.status}`,
-      );
-    }
-
-    const customFields = await customFieldsResponse.json();
+    const customFields = await TrelloApi.fetchBoardCustomFields(boardId, token);
     const daysToReleaseField = customFields.find(
       (field) => field.name === "Days to Release",
     );
@@ -125,17 +101,10 @@ const startCaseCallback = async (t) => {
     }
 
     // 5. Get the custom field value for this card
-    const cardCustomFieldsResponse = await fetch(
-      `https://api.trello.com/1/cards/${cardId}/customFieldItems?key=${APP_KEY}&token=${token}`,
+    const cardCustomFields = await TrelloApi.fetchCardCustomFields(
+      cardId,
+      token,
     );
-
-    if (!cardCustomFieldsResponse.ok) {
-      throw new Error(
-        `Failed to fetch card custom fields. Status: ${cardCustomFieldsResponse.status}`,
-      );
-    }
-
-    const cardCustomFields = await cardCustomFieldsResponse.json();
     const daysToReleaseValue = cardCustomFields.find(
       (item) => item.idCustomField === daysToReleaseField.id,
     );
@@ -155,29 +124,23 @@ const startCaseCallback = async (t) => {
 
     const daysToAdd = parseInt(daysToReleaseValue.value.number, 10);
 
-    // 6. Calculate the due date using business days
+    // 6. Calculate the due date using business days (board's holiday calendar),
+    // skipping the days the assignee has booked off
+    await CalendarSettings.loadCalendarSettings(t);
+    const absences = await MemberAbsences.getMemberAbsences(t);
     const startDate = new Date();
 
-    const { endDate, totalDaysAdded } = addBusinessDays(startDate, daysToAdd);
+    const { endDate, totalDaysAdded } = addBusinessDays(startDate, daysToAdd, {
+      excludedDates: MemberAbsences.getExcludedDatesForMembers(absences, [
+        memberId,
+      ]),
+    });
 
     // Format the date as ISO 8601 for Trello API
     const dueDate = endDate.toISOString();
 
     // 7. Set the due date on the card
-    const dueDateResponse = await fetch(
-      `https://api.trello.com/1/cards/${cardId}?due=${encodeURIComponent(
-        dueDate,
-      )}&key=${APP_KEY}&token=${token}`,
-      {
-        method: "PUT",
-      },
-    );
-
-    if (!dueDateResponse.ok) {
-      throw new Error(
-        `Failed to set due date. Status: ${dueDateResponse.status}`,
-      );
-    }
+    await TrelloApi.updateCard(cardId, token, { due: dueDate });
 
     t.alert({
       message: `Card started! Due in ${daysToAdd} business days.`,
@@ -190,7 +153,9 @@ const startCaseCallback = async (t) => {
   } catch (error) {
     console.error("Error in startCaseCallback:", error);
     t.alert({
-      message: "An error occurred while moving the card.",
+      message: error.isNetworkError
+        ? "Network error while starting the case. Check your connection and try again."
+        : "An error occurred while moving the card.",
       duration: 5,
       display: "error",
     });
@@ -284,6 +249,19 @@ if (isSettingsContext) {
           }, 2000);
         });
       }
+
+      await CalendarSettings.renderHolidayCalendarSettings(
+        t,
+        document.getElementById("holiday-calendar-settings"),
+      );
+      await CalendarSettings.renderTimeZoneSettings(
+        t,
+        document.getElementById("time-zone-settings"),
+      );
+      await MemberAbsences.renderMemberAbsenceSettings(
+        t,
+        document.getElementById("member-absence-settings"),
+      );
     } catch (error) {
       console.error("Error during Start Case settings:", error);
       const container = document.getElementById("start-case-settings");
@@ -1,3 +1,10 @@
 const APP_KEY = "5a205cbf8eaf72b61ff36eeae6e7b947";
 const APP_NAME = "Time in List";
 const VERSION = 1.2;
+
+// Upper bound on actions loaded per card when paging through its history.
+const MAX_CARD_ACTIONS = 5000;
+
+// Card actions that make up a card's list history, including moves between boards.
+const CARD_HISTORY_ACTION_FILTER =
+  "updateCard:idList,createCard,moveCardToBoard,moveCardFromBoard";
@@ -0,0 +1,433 @@
+/* global TrelloPowerUp, dayjs, APP_KEY, APP_NAME, MAX_CARD_ACTIONS, CARD_HISTORY_ACTION_FILTER, TrelloApi, CalendarSettings, MemberAbsences, getAuthToken, buildCardHistory, applyCurrentListNames, getListTimeInfo, loadDurationFormat, getPauseListsConfig, getListSlaConfig, isListAutoPause, getPauseReasonLabel, escapeHtml, CsvExport */
+
+/**
+ * Board-wide Time in List dashboard, opened in the board bar from the "Time in List Dashboard"
+ * board button. Lists every open card with its current list, active time, pause state and SLA
+ * status; the table can be sorted, filtered by list, member and label, and exported to CSV.
+ * Depends on: power-up.js (time calculations), trello-api.js, calendar-settings.js,
+ * member-absences.js, csv-export.js, auth-helpers.js, dayjs.
+ */
+(function () {
+  "use strict";
+
+  const SLA_STATUS_LABELS = {
+    ok: "On track",
+    warning: "Warning",
+    breach: "Breached",
+  };
+
+  // Sort order for the SLA column: worst first when sorting descending
+  const SLA_STATUS_RANK = { breach: 3, warning: 2, ok: 1 };
+
+  const COLUMNS = [
+    { key: "name", label: "Card", sortValue: (row) => row.card.name },
+    { key: "list", label: "List", sortValue: (row) => row.listName },
+    {
+      key: "members",
+      label: "Members",
+      sortValue: (row) => row.memberNames.join(", "),
+    },
+    {
+      key: "labels",
+      label: "Labels",
+      sortValue: (row) => row.labelNames.join(", "),
+    },
+    {
+      key: "activeMinutes",
+      label: "Active time",
+      sortValue: (row) => row.activeMinutes,
+    },
+    {
+      key: "paused",
+      label: "Paused",
+      sortValue: (row) => (row.isPaused ? 1 : 0),
+    },
+    {
+      key: "sla",
+      label: "SLA",
+      sortValue: (row) => SLA_STATUS_RANK[row.slaStatus] || 0,
+    },
+  ];
+
+  /**
+   * Loads the list-move history of every card, ten cards per /batch call.
+   * Cards whose batch item fails or has more than one page of actions are loaded on their own.
+   * @param {Array} cards - Open cards on the board.
+   * @param {Array} lists - Lists on the board, for current list names.
+   * @param {string} token - API token.
+   * @param {Function} onProgress - Called with the number of cards loaded so far.
+   * @returns {Promise<Object.<string, Array>>} History (from applyCurrentListNames) by card ID.
+   */
+  const loadCardHistories = async (cards, lists, token, onProgress) => {
+    const historiesByCard = {};
+
+    for (let i = 0; i < cards.length; i += TrelloApi.MAX_BATCH_ROUTES) {
+      const chunk = cards.slice(i, i + TrelloApi.MAX_BATCH_ROUTES);
+      const results = await TrelloApi.fetchBatch(
+        chunk.map(
+          (card) =>
+            `/cards/${card.id}/actions?filter=${encodeURIComponent(CARD_HISTORY_ACTION_FILTER)}&limit=${TrelloApi.CARD_ACTIONS_PAGE_SIZE}`,
+        ),
+        token,
+      );
+
+      for (let j = 0; j < chunk.length; j++) {
+        const card = chunk[j];
+        let actions = results[j].data;
+        if (
+          !results[j].ok ||
+          actions.length >= TrelloApi.CARD_ACTIONS_PAGE_SIZE
+        ) {
+          actions = await TrelloApi.fetchAllCardActions(
+            card.id,
+            token,
+            CARD_HISTORY_ACTION_FILTER,
+            { maxActions: MAX_CARD_ACTIONS },
+          );
+        }
+        historiesByCard[card.id] = applyCurrentListNames(
+          buildCardHistory(actions, card.id),
+          lists,
+        );
+      }
+      onProgress(Math.min(i + chunk.length, cards.length));
+    }
+
+    return historiesByCard;
+  };
+
+  /**
+   * Reads every card's stored pause events. List auto-pauses are rebuilt from history instead.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {Array} cards - Open cards on the board.
+   * @returns {Promise<Object.<string, Array>>} Stored pause events by card ID.
+   */
+  const loadStoredPauseEvents = async (t, cards) => {
+    const pauseEventsByCard = {};
+    await Promise.all(
+      cards.map(async (card) => {
+        const pauseEvents = await t.get(card.id, "shared", "pauseEvents");
+        pauseEventsByCard[card.id] = (pauseEvents || []).filter(
+          (event) => !isListAutoPause(event),
+        );
+      }),
+    );
+    return pauseEventsByCard;
+  };
+
+  /**
+   * Loads the board and works out one dashboard row per open card.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {string} token - API token.
+   * @param {Function} onProgress - Called with a progress message.
+   * @returns {Promise<{rows: Array, lists: Array, members: Array, labels: Array}>}
+   */
+  const loadDashboardData = async (t, token, onProgress) => {
+    const boardId = t.getContext().board;
+    const [board, lists, cards, pauseLists, listSlas, absenceExclusion] =
+      await Promise.all([
+        t.board("members", "labels"),
+        TrelloApi.fetchBoardLists(boardId, token),
+        TrelloApi.fetchBoardCards(boardId, token),
+        getPauseListsConfig(t),
+        getListSlaConfig(t),
+        MemberAbsences.isAbsenceExclusionEnabled(t),
+        CalendarSettings.loadCalendarSettings(t),
+        loadDurationFormat(t),
+      ]);
+    const absences = absenceExclusion
+      ? await MemberAbsences.getMemberAbsences(t)
+      : null;
+
+    const listNames = {};
+    lists.forEach((list) => {
+      listNames[list.id] = list.name;
+    });
+    const memberNames = {};
+    (board.members || []).forEach((member) => {
+      memberNames[member.id] = member.fullName || member.username;
+    });
+    const labelNames = {};
+    (board.labels || []).forEach((label) => {
+      labelNames[label.id] = label.name || label.color;
+    });
+
+    const openCards = cards.filter((card) => listNames[card.idList]);
+    const historiesByCard = await loadCardHistories(
+      openCards,
+      lists,
+      token,
+      (loaded) => onProgress(`Loading card ${loaded} of ${openCards.length}…`),
+    );
+    const pauseEventsByCard = await loadStoredPauseEvents(t, openCards);
+
+    const rows = openCards.map((card) => {
+      const info = getListTimeInfo({
+        card,
+        history: historiesByCard[card.id],
+        storedPauseEvents: pauseEventsByCard[card.id],
+        pauseLists,
+        listSlas,
+        businessTimeOptions: absences
+          ? {
+              excludedDates: MemberAbsences.getExcludedDatesForMembers(
+                absences,
+                card.idMembers || [],
+              ),
+            }
+          : {},
+      });
+      const currentPause = info.isPaused
+        ? info.pauseEvents.find((event) => !event.resumedAt)
+        : null;
+
+      return {
+        card,
+        listName: listNames[card.idList],
+        memberNames: (card.idMembers || []).map(
+          (memberId) => memberNames[memberId] || "Former member",
+        ),
+        labelNames: (card.idLabels || [])
+          .map((labelId) => labelNames[labelId])
+          .filter(Boolean),
+        enteredAt: info.enteredAt,
+        activeMinutes: info.activeMinutes,
+        duration: info.duration,
+        isPaused: info.isPaused,
+        pauseReason: currentPause ? getPauseReasonLabel(currentPause) : "",
+        slaStatus: info.slaStatus,
+      };
+    });
+
+    return {
+      rows,
+      lists: lists.filter((list) =>
+        openCards.some((card) => card.idList === list.id),
+      ),
+      members: board.members || [],
+      labels: board.labels || [],
+    };
+  };
+
+  /**
+   * Builds the CSV for the rows currently shown.
+   * @param {Array} rows - Dashboard rows.
+   * @returns {string}
+   */
+  const generateDashboardCSV = (rows) => {
+    const header = [
+      "Card",
+      "URL",
+      "List",
+      "Entered list",
+      "Members",
+      "Labels",
+      "Active time",
+      "Active business minutes",
+      "Paused",
+      "Pause reason",
+      "SLA status",
+    ];
+    const lines = [header.map(CsvExport.escapeCSV).join(",")];
+    rows.forEach((row) => {
+      lines.push(
+        [
+          row.card.name,
+          row.card.shortUrl,
+          row.listName,
+          dayjs(row.enteredAt).format("YYYY-MM-DD HH:mm"),
+          row.memberNames.join("; "),
+          row.labelNames.join("; "),
+          row.duration,
+          row.activeMinutes,
+          row.isPaused ? "Yes" : "No",
+          row.pauseReason,
+          SLA_STATUS_LABELS[row.slaStatus] || "",
+        ]
+          .map(CsvExport.escapeCSV)
+          .join(","),
+      );
+    });
+    return lines.join("\n");
+  };
+
+  /**
+   * Renders the dashboard table and its filters, and wires up sorting, filtering and export.
+   * @param {Object} t - The Trello Power-Up interface.
+   * @param {HTMLElement} container - Element to render into.
+   * @param {{rows: Array, lists: Array, members: Array, labels: Array}} data
+   */
+  const renderDashboard = (t, container, data) => {
+    const state = {
+      sortKey: "activeMinutes",
+      sortDescending: true,
+      listId: "",
+      memberId: "",
+      labelId: "",
+    };
+
+    const getVisibleRows = () => {
+      const column = COLUMNS.find((col) => col.key === state.sortKey);
+      return data.rows
+        .filter(
+          (row) =>
+            (!state.listId || row.card.idList === state.listId) &&
+            (!state.memberId ||
+              (row.card.idMembers || []).includes(state.memberId)) &&
+            (!state.labelId ||
+              (row.card.idLabels || []).includes(state.labelId)),
+        )
+        .sort((a, b) => {
+          const aValue = column.sortValue(a);
+          const bValue = column.sortValue(b);
+          const order =
+            typeof aValue === "string"
+              ? aValue.localeCompare(bValue)
+              : aValue - bValue;
+          return state.sortDescending ? -order : order;
+        });
+    };
+
+    const selectHtml = (id, allLabel, options, selectedValue) =>
+      `<select id="${id}" class="dashboard-filter">
+        <option value="">${allLabel}</option>
+        ${options
+          .map(
+            (option) =>
+              `<option value="${option.value}"${option.value === selectedValue ? " selected" : ""}>${escapeHtml(option.label)}</option>`,
+          )
+          .join("")}
+      </select>`;
+
+    const rowHtml = (row) => `<tr>
+        <td><a href="#" data-card-id="${row.card.id}">${escapeHtml(row.card.name)}</a></td>
+        <td>${escapeHtml(row.listName)}</td>
+        <td>${escapeHtml(row.memberNames.join(", "))}</td>
+        <td>${escapeHtml(row.labelNames.join(", "))}</td>
+        <td>${escapeHtml(row.duration)}</td>
+        <td>${row.isPaused ? `⏸️ ${escapeHtml(row.pauseReason)}` : ""}</td>
+        <td>${
+          row.slaStatus
+            ? `<span class="dashboard-sla dashboard-sla-${row.slaStatus}">${SLA_STATUS_LABELS[row.slaStatus]}</span>`
+            : ""
+        }</td>
+      </tr>`;
+
+    const render = () => {
+      const rows = getVisibleRows();
+      container.innerHTML = `
+        <div class="dashboard-toolbar">
+          ${selectHtml(
+            "dashboard-list-filter",
+            "All lists",
+            data.lists.map((list) => ({ value: list.id, label: list.name })),
+            state.listId,
+          )}
+          ${selectHtml(
+            "dashboard-member-filter",
+            "All members",
+            data.members.map((member) => ({
+              value: member.id,
+              label: member.fullName || member.username,
+            })),
+            state.memberId,
+          )}
+          ${selectHtml(
+            "dashboard-label-filter",
+            "All labels",
+            data.labels.map((label) => ({
+              value: label.id,
+              label: label.name || label.color,
+            })),
+            state.labelId,
+          )}
+          <span class="dashboard-count">${rows.length} of ${data.rows.length} cards</span>
+          <button type="button" id="dashboard-export-btn" class="save-pause-lists-btn">Export CSV</button>
+        </div>
+        <table class="dashboard-table">
+          <thead>
+            <tr>
+              ${COLUMNS.map(
+                (column) =>
+                  `<th><button type="button" class="dashboard-sort" data-sort-key="${column.key}">${column.label}${
+                    column.key === state.sortKey
+                      ? state.sortDescending
+                        ? " ▼"
+                        : " ▲"
+                      : ""
+                  }</button></th>`,
+              ).join("")}
+            </tr>
+          </thead>
+          <tbody>
+            ${
+              rows.length > 0
+                ? rows.map(rowHtml).join("")
+                : `<tr><td colspan="${COLUMNS.length}">No cards match these filters.</td></tr>`
+            }
+          </tbody>
+        </table>
+      `;
+    };
+
+    container.addEventListener("change", (event) => {
+      if (event.target.id === "dashboard-list-filter") {
+        state.listId = event.target.value;
+      } else if (event.target.id === "dashboard-member-filter") {
+        state.memberId = event.target.value;
+      } else if (event.target.id === "dashboard-label-filter") {
+        state.labelId = event.target.value;
+      } else {
+        return;
+      }
+      render();
+    });
+
+    container.addEventListener("click", (event) => {
+      const sortKey = event.target.getAttribute("data-sort-key");
+      const cardId = event.target.getAttribute("data-card-id");
+      if (sortKey) {
+        // Clicking the sorted column flips the order; a new column starts descending
+        state.sortDescending =
+          sortKey === state.sortKey ? !state.sortDescending : true;
+        state.sortKey = sortKey;
+        render();
+      } else if (cardId) {
+        event.preventDefault();
+        t.showCard(cardId);
+      } else if (event.target.id === "dashboard-export-btn") {
+        CsvExport.downloadCSV(
+          generateDashboardCSV(getVisibleRows()),
+          `time-in-list-${dayjs().format("YYYY-MM-DD-HHmm")}.csv`,
+        );
+      }
+    });
+
+    render();
+  };
+
+  window.addEventListener("load", async () => {
+    const t = TrelloPowerUp.iframe({
+      appKey: APP_KEY,
+      appName: APP_NAME,
+    });
+    const container = document.getElementById("dashboard");
+
+    try {
+      const token = await getAuthToken(t);
+      if (!token) {
+        container.innerHTML =
+          '<p class="settings-error">Not authorized. Open a card and authorize Time in List first.</p>';
+        return;
+      }
+
+      const data = await loadDashboardData(t, token, (message) => {
+        container.textContent = message;
+      });
+      renderDashboard(t, container, data);
+    } catch (error) {
+      console.error("❌ Error loading the Time in List dashboard:", error);
+      container.innerHTML = `<p class="settings-error">Could not load the dashboard: ${escapeHtml(error.message)}</p>`;
+    }
+  });
+})();
@@ -1,4 +1,4 @@
-/* global TrelloPowerUp, dayjs, APP_KEY, APP_NAME */
+/* global TrelloPowerUp, dayjs, APP_KEY, APP_NAME, MAX_CARD_ACTIONS, CARD_HISTORY_ACTION_FILTER, TrelloApi, CalendarSettings, getWorkingMinutesPerDay, MemberAbsences, CsvExport */
 
 // === DEBUG LOGGING ===
 // console.log("🚀 Power-Up Time in List script loaded!");
@@ -20,19 +20,114 @@ const getCardCreationDate = (cardId) => {
   return new Date(timestamp * 1000);
 };
 
+// Duration display styles, chosen per board in the settings. "rounded" is the original style.
+const DURATION_FORMATS = {
+  rounded: "Rounded (e.g. 2 days 5h, 3 weeks, 1 month)",
+  compact: "Compact (e.g. 2d 5h)",
+  precise: "Precise (e.g. 12d 3h 20m)",
+  days: "Decimal business days (e.g. 4.5 bd)",
+  hours: "Hours only (e.g. 36.5h)",
+};
+const DEFAULT_DURATION_FORMAT = "rounded";
+
+// Style used by formatBusinessTime; set from the board setting by loadDurationFormat.
+let activeDurationFormat = DEFAULT_DURATION_FORMAT;
+
+/**
+ * Gets the board's duration display style.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<string>} A key of DURATION_FORMATS.
+ */
+const getDurationFormatConfig = async (t) => {
+  const durationFormat = await t.get("board", "shared", "durationFormat");
+  return DURATION_FORMATS[durationFormat]
+    ? durationFormat
+    : DEFAULT_DURATION_FORMAT;
+};
+
+/**
+ * Saves the board's duration display style.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {string} durationFormat - A key of DURATION_FORMATS.
+ * @returns {Promise<void>}
+ */
+const setDurationFormatConfig = async (t, durationFormat) => {
+  await t.set("board", "shared", "durationFormat", durationFormat);
+};
+
+/**
+ * Loads the board's duration display style so formatBusinessTime uses it.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<void>}
+ */
+const loadDurationFormat = async (t) => {
+  activeDurationFormat = await getDurationFormatConfig(t);
+};
+
+/**
+ * Formats business minutes in one of the non-rounded styles. With a 7.5 hour day, 470 minutes is
+ * "1d 20m" in the precise style.
+ * @param {number} totalMinutes - Total minutes to format.
+ * @param {string} durationFormat - "compact", "precise", "days" or "hours".
+ * @returns {string}
+ */
+const formatBusinessTimeAs = (totalMinutes, durationFormat) => {
+  const minutesPerDay = getWorkingMinutesPerDay() || 60 * 24;
+  // One decimal, without a trailing ".0"
+  const formatDecimal = (value) => String(Math.round(value * 10) / 10);
+
+  if (durationFormat === "days") {
+    return `${formatDecimal(totalMinutes / minutesPerDay)} bd`;
+  }
+  if (durationFormat === "hours") {
+    return `${formatDecimal(totalMinutes / 60)}h`;
+  }
+
+  const wholeMinutes = Math.floor(totalMinutes);
+  const parts = [
+    [Math.floor(wholeMinutes / minutesPerDay), "d"],
+    [Math.floor((wholeMinutes % minutesPerDay) / 60), "h"],
+    // Minutes left over within the day, which may not be a whole number of hours
+    [(wholeMinutes % minutesPerDay) % 60, "m"],
+  ];
+  const firstUnit = parts.findIndex(([value]) => value > 0);
+  if (firstUnit === -1) {
+    return "0m";
+  }
+
+  // Compact keeps the two largest units; precise keeps all of them
+  const shownParts =
+    durationFormat === "compact"
+      ? parts.slice(firstUnit, firstUnit + 2)
+      : parts.slice(firstUnit);
+  return shownParts
+    .filter(([value]) => value > 0)
+    .map(([value, unit]) => `${value}${unit}`)
+    .join(" ");
+};
+
 /**
- * Formats business minutes into a human-readable duration string.
+ * Formats business minutes into a human-readable duration string, in the board's display style.
+ * A day is one working day of the board's working hours (e.g. 8 hours for 9:00-17:00), which
+ * need not be a whole number of hours: with a 7.5 hour day, 570 minutes is "1 day 2h".
  * @param {number} totalMinutes - Total minutes to format.
  * @returns {string} Formatted duration (e.g., "2d 5h 30m").
  */
 const formatBusinessTime = (totalMinutes) => {
+  if (activeDurationFormat !== DEFAULT_DURATION_FORMAT) {
+    return formatBusinessTimeAs(totalMinutes, activeDurationFormat);
+  }
+
   if (totalMinutes < 1) {
     return "Less than a minute";
   }
 
-  const days = Math.floor(totalMinutes / (60 * 24));
-  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
-  const minutes = totalMinutes % 60;
+  const minutesPerDay = getWorkingMinutesPerDay() || 60 * 24;
+  const days = Math.floor(totalMinutes / minutesPerDay);
+  // Hours and minutes are what's left of the last day, which may not be a whole number of hours
+  const minutesIntoDay = totalMinutes % minutesPerDay;
+  const hours = Math.floor(minutesIntoDay / 60);
+  const minutes = minutesIntoDay % 60;
 
   // Format based on duration length for better readability
   // Months (30+ days)
@@ -70,43 +165,74 @@ const formatBusinessTime = (totalMinutes) => {
   return minutes === 1 ? "1 minute" : `${minutes} minutes`;
 };
 
+/**
+ * Gets the list a history action put the card in, and the board that list was on.
+ * @param {Object} action - A createCard, updateCard or moveCardToBoard action.
+ * @returns {{list: Object, board: ?Object}}
+ */
+const getActionListAndBoard = (action) => ({
+  list: action.type === "updateCard" ? action.data.listAfter : action.data.list,
+  board: action.data.board || null,
+});
+
 /**
  * Builds card movement history from Trello actions.
- * Handles both regular cards and copied cards (which lack createCard actions).
- * @param {Array} actions - Array of Trello actions.
+ * Handles regular cards, copied cards (which lack createCard actions) and cards moved between
+ * boards (moveCardToBoard starts a visit to a list on the new board).
+ * @param {Array} actions - Array of Trello actions (see CARD_HISTORY_ACTION_FILTER).
  * @param {string} cardId - The card ID.
- * @returns {Array} History array with listName and enteredAt properties.
+ * @returns {Array} History array with listId, listName, boardId, boardName and enteredAt properties.
  */
 const buildCardHistory = (actions, cardId) => {
+  const toEntry = ({ list, board }, enteredAt) => ({
+    listId: list.id,
+    listName: list.name,
+    boardId: board ? board.id : null,
+    boardName: board ? board.name : null,
+    enteredAt,
+  });
+
   const history = actions
     .filter(
       (action) =>
-        action.type === "createCard" ||
-        (action.type === "updateCard" && action.data.listAfter),
+        (action.type === "createCard" && action.data.list) ||
+        (action.type === "updateCard" && action.data.listAfter) ||
+        (action.type === "moveCardToBoard" && action.data.list),
     )
-    .map((action) => ({
-      listName:
-        action.type === "createCard"
-          ? action.data.list.name
-          : action.data.listAfter.name,
-      enteredAt: action.date,
-    }))
+    .map((action) => toEntry(getActionListAndBoard(action), action.date))
     .reverse(); // Trello returns actions newest-first
 
   // If no createCard action exists (copied cards), add initial entry using card ID timestamp
   if (history.length > 0 && actions.length > 0) {
     const firstAction = actions[actions.length - 1]; // Oldest action
+    const creationDate = getCardCreationDate(cardId).toISOString();
 
     // Check if the first action is NOT a createCard
     if (firstAction.type === "updateCard" && firstAction.data.listBefore) {
-      // Card was moved, so it existed before - extract creation time from card ID
-      const creationDate = getCardCreationDate(cardId);
-
-      // Add the initial list entry at the beginning
-      history.unshift({
-        listName: firstAction.data.listBefore.name,
-        enteredAt: creationDate.toISOString(),
-      });
+      // Card was moved, so it existed before - add the list it was moved out of
+      history.unshift(
+        toEntry(
+          {
+            list: firstAction.data.listBefore,
+            board: firstAction.data.board || null,
+          },
+          creationDate,
+        ),
+      );
+    } else if (
+      firstAction.type === "moveCardFromBoard" &&
+      firstAction.data.list
+    ) {
+      // Card was moved to another board before any list move - add the list it left
+      history.unshift(
+        toEntry(
+          {
+            list: firstAction.data.list,
+            board: firstAction.data.board || null,
+          },
+          creationDate,
+        ),
+      );
     }
   }
 
@@ -114,22 +240,188 @@ const buildCardHistory = (actions, cardId) => {
 };
 
 /**
- * Gets pause events from card storage.
+ * Names history entries after their lists' current names, so a renamed list keeps one row and
+ * same-named lists stay apart. Lists that aren't open on the card's board (archived lists, or
+ * lists on a board the card was moved from) keep the latest name recorded in the card's actions.
+ * @param {Array} history - Card history from buildCardHistory.
+ * @param {Array<{id: string, name: string}>} boardLists - Lists on the card's current board.
+ * @returns {Array} History entries with listName set to the current name, formerNames (other names
+ *   the list had in the card's actions) and isOffBoard. boardName is the board's latest recorded name.
+ */
+const applyCurrentListNames = (history, boardLists) => {
+  const currentNames = {};
+  (boardLists || []).forEach((list) => {
+    currentNames[list.id] = list.name;
+  });
+
+  // Names each list had when the card entered it, oldest first
+  const recordedNames = {};
+  const boardNames = {};
+  history.forEach((entry) => {
+    const names = recordedNames[entry.listId] || [];
+    if (entry.listName && !names.includes(entry.listName)) {
+      names.push(entry.listName);
+    }
+    recordedNames[entry.listId] = names;
+    if (entry.boardId && entry.boardName) {
+      boardNames[entry.boardId] = entry.boardName;
+    }
+  });
+
+  return history.map((entry) => {
+    const names = recordedNames[entry.listId];
+    const isOffBoard = currentNames[entry.listId] === undefined;
+    const listName = isOffBoard
+      ? names.at(-1) || entry.listName
+      : currentNames[entry.listId];
+    return {
+      ...entry,
+      listName,
+      boardName: boardNames[entry.boardId] || entry.boardName || null,
+      formerNames: names.filter((name) => name !== listName),
+      isOffBoard,
+    };
+  });
+};
+
+/**
+ * Checks whether a card's history covers lists on more than one board.
+ * @param {Array} history - Card history from buildCardHistory.
+ * @returns {boolean}
+ */
+const historySpansBoards = (history) =>
+  new Set(history.map((entry) => entry.boardId).filter(Boolean)).size > 1;
+
+/**
+ * Names a history entry's list, followed by its board when the history spans boards.
+ * @param {Object} entry - History entry or list visit.
+ * @param {boolean} showBoard - Whether to add the board name.
+ * @returns {string} e.g. "Doing · Dev board".
+ */
+const formatListName = (entry, showBoard) =>
+  showBoard && entry.boardName
+    ? `${entry.listName} · ${entry.boardName}`
+    : entry.listName;
+
+/**
+ * Describes a history entry's list for tooltips: its former names and whether it's on another board.
+ * @param {Object} entry - History entry from applyCurrentListNames.
+ * @returns {string} e.g. "Formerly: QA, Testing", or "" if there's nothing to add.
+ */
+const describeListNames = (entry) =>
+  [
+    entry.isOffBoard ? "No longer on this board" : "",
+    entry.formerNames && entry.formerNames.length > 0
+      ? `Formerly: ${entry.formerNames.join(", ")}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+/**
+ * Gets the current member for recording who paused or resumed a timer.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+const getCurrentMember = async (t) => {
+  try {
+    const member = await t.member("id", "fullName", "username");
+    return { id: member.id, name: member.fullName || member.username };
+  } catch (err) {
+    console.error("❌ Could not load the current member:", err);
+    return null;
+  }
+};
+
+/**
+ * Moves pause events saved by older versions in the member's private card storage into shared
+ * card storage. Private storage belongs to the member viewing the card, so their manual pauses and
+ * resumes are attributed to them. Events are merged by pausedAt with any shared events already there.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {Array} sharedEvents - Pause events already in shared storage.
+ * @param {Array} privateEvents - Pause events from the member's private storage.
+ * @returns {Promise<Array>} The merged pause events.
+ */
+const migratePrivatePauseEvents = async (t, sharedEvents, privateEvents) => {
+  const member = await getCurrentMember(t);
+  const knownPausedAt = new Set(sharedEvents.map((event) => event.pausedAt));
+
+  const migratedEvents = privateEvents
+    .filter((event) => event.pausedAt && !knownPausedAt.has(event.pausedAt))
+    .map((event) => {
+      if (event.reason === "auto" || !member) return event;
+      return {
+        ...event,
+        pausedBy: member,
+        resumedBy: event.resumedAt ? member : null,
+      };
+    });
+
+  const pauseEvents = sharedEvents
+    .concat(migratedEvents)
+    .sort((a, b) => new Date(a.pausedAt) - new Date(b.pausedAt));
+
+  try {
+    await t.set("card", "shared", "pauseEvents", pauseEvents);
+    await t.remove("card", "private", "pauseEvents");
+  } catch (err) {
+    console.error("❌ Could not migrate pause events:", err);
+  }
+  return pauseEvents;
+};
+
+/**
+ * Checks if a pause event is a list auto-pause. Pauses saved before label and checklist rules
+ * have no autoTrigger and were always list moves.
+ * @param {Object} pauseEvent - A pause event.
+ * @returns {boolean}
+ */
+const isListAutoPause = (pauseEvent) =>
+  pauseEvent.reason === "auto" &&
+  (!pauseEvent.autoTrigger || pauseEvent.autoTrigger.type === "list");
+
+/**
+ * Gets pause events from shared card storage, migrating any left in the member's private storage.
+ * List auto-pauses are rebuilt from the card's list moves (see buildListPauseEvents), so ones stored
+ * by older versions are dropped.
  * @param {Object} t - The Trello Power-Up interface.
  * @returns {Promise<Array>} Array of pause events with pausedAt and resumedAt timestamps.
  */
 const getPauseEvents = async (t) => {
-  const pauseEvents = await t.get("card", "private", "pauseEvents");
-  return pauseEvents || [];
+  const [sharedEvents, privateEvents] = await Promise.all([
+    t.get("card", "shared", "pauseEvents"),
+    t.get("card", "private", "pauseEvents"),
+  ]);
+  const pauseEvents = Array.isArray(privateEvents)
+    ? await migratePrivatePauseEvents(t, sharedEvents || [], privateEvents)
+    : sharedEvents || [];
+
+  if (!pauseEvents.some(isListAutoPause)) {
+    return pauseEvents;
+  }
+  const storedPauseEvents = pauseEvents.filter(
+    (event) => !isListAutoPause(event),
+  );
+  try {
+    await t.set("card", "shared", "pauseEvents", storedPauseEvents);
+  } catch (err) {
+    console.error("❌ Could not remove stored list auto-pauses:", err);
+  }
+  return storedPauseEvents;
 };
 
 /**
  * Gets the board's pause lists configuration (list IDs that trigger auto-pause).
+ * Pause lists are shared so every member sees the same paused time; older versions kept them in
+ * each member's private board storage, which is used until the settings are saved again.
  * @param {Object} t - The Trello Power-Up interface.
  * @returns {Promise<string[]>} Array of list IDs.
  */
 const getPauseListsConfig = async (t) => {
-  const pauseLists = await t.get("board", "private", "pauseLists");
+  let pauseLists = await t.get("board", "shared", "pauseLists");
+  if (pauseLists == null) {
+    pauseLists = await t.get("board", "private", "pauseLists");
+  }
   return Array.isArray(pauseLists) ? pauseLists : [];
 };
 
@@ -140,7 +432,104 @@ const getPauseListsConfig = async (t) => {
  * @returns {Promise<void>}
  */
 const setPauseListsConfig = async (t, listIds) => {
-  await t.set("board", "private", "pauseLists", listIds || []);
+  await t.set("board", "shared", "pauseLists", listIds || []);
+};
+
+/**
+ * Gets the board's per-list SLA thresholds.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<Object.<string, {warnDays: ?number, breachDays: ?number}>>} Thresholds in business days, by list ID.
+ */
+const getListSlaConfig = async (t) => {
+  const listSlas = await t.get("board", "shared", "listSlas");
+  return listSlas && typeof listSlas === "object" ? listSlas : {};
+};
+
+/**
+ * Saves the board's per-list SLA thresholds.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {Object.<string, {warnDays: ?number, breachDays: ?number}>} listSlas - Thresholds by list ID.
+ * @returns {Promise<void>}
+ */
+const setListSlaConfig = async (t, listSlas) => {
+  await t.set("board", "shared", "listSlas", listSlas || {});
+};
+
+/**
+ * Gets the board's per-list time budgets.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<Object.<string, number>>} Budgets in business hours, by list ID.
+ */
+const getListBudgetConfig = async (t) => {
+  const listBudgets = await t.get("board", "shared", "listBudgets");
+  return listBudgets && typeof listBudgets === "object" ? listBudgets : {};
+};
+
+/**
+ * Saves the board's per-list time budgets.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {Object.<string, number>} listBudgets - Budgets in business hours, by list ID.
+ * @returns {Promise<void>}
+ */
+const setListBudgetConfig = async (t, listBudgets) => {
+  await t.set("board", "shared", "listBudgets", listBudgets || {});
+};
+
+/**
+ * Gets the board's label and checklist auto-pause rules.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<{labelIds: string[], checklistItems: string[]}>} Label IDs, and checklist item names whose unchecked items pause the timer.
+ */
+const getPauseRulesConfig = async (t) => {
+  const pauseRules = (await t.get("board", "shared", "pauseRules")) || {};
+  return {
+    labelIds: Array.isArray(pauseRules.labelIds) ? pauseRules.labelIds : [],
+    checklistItems: Array.isArray(pauseRules.checklistItems)
+      ? pauseRules.checklistItems
+      : [],
+  };
+};
+
+/**
+ * Saves the board's label and checklist auto-pause rules.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {{labelIds: string[], checklistItems: string[]}} pauseRules
+ * @returns {Promise<void>}
+ */
+const setPauseRulesConfig = async (t, pauseRules) => {
+  await t.set("board", "shared", "pauseRules", pauseRules);
+};
+
+/**
+ * Reasons offered when pausing the timer, unless the board has its own list.
+ */
+const DEFAULT_PAUSE_REASONS = [
+  "Blocked on customer",
+  "Waiting on another team",
+  "Waiting for review",
+  "Other",
+];
+
+/**
+ * Gets the board's pause reasons (the choices in the pause popup).
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<string[]>} Reason names.
+ */
+const getPauseReasonsConfig = async (t) => {
+  const pauseReasons = await t.get("board", "shared", "pauseReasons");
+  return Array.isArray(pauseReasons) && pauseReasons.length > 0
+    ? pauseReasons
+    : DEFAULT_PAUSE_REASONS;
+};
+
+/**
+ * Saves the board's pause reasons.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {string[]} pauseReasons - Reason names.
+ * @returns {Promise<void>}
+ */
+const setPauseReasonsConfig = async (t, pauseReasons) => {
+  await t.set("board", "shared", "pauseReasons", pauseReasons || []);
 };
 
 /**
@@ -153,37 +542,236 @@ const isListInPauseLists = (listId, pauseLists) => {
   return Array.isArray(pauseLists) && pauseLists.includes(listId);
 };
 
+// Pause events share the card's 4096 characters of shared storage with the corrections log and
+// cached badge data, so only the most recent ones are kept.
+const MAX_PAUSE_EVENTS = 20;
+const MAX_PAUSE_EVENTS_CHARS = 2000;
+
 /**
- * Saves a pause or resume event to card storage.
+ * Drops the oldest finished pause events until the history fits MAX_PAUSE_EVENTS and
+ * MAX_PAUSE_EVENTS_CHARS. The most recent event is always kept.
+ * @param {Array} pauseEvents - Pause events, oldest first.
+ * @returns {Array} The events to store.
+ */
+const trimPauseEvents = (pauseEvents) => {
+  let trimmedEvents = pauseEvents.slice(-MAX_PAUSE_EVENTS);
+  while (
+    trimmedEvents.length > 1 &&
+    JSON.stringify(trimmedEvents).length > MAX_PAUSE_EVENTS_CHARS
+  ) {
+    trimmedEvents = trimmedEvents.slice(1);
+  }
+  return trimmedEvents;
+};
+
+/**
+ * Saves a pause or resume event to card storage. Manual pauses and resumes record the current
+ * member (id and name) as pausedBy / resumedBy. Older events are dropped to stay within the card's
+ * storage (see trimPauseEvents).
  * @param {Object} t - The Trello Power-Up interface.
  * @param {string|null} pausedAt - ISO timestamp when paused, or null if resuming.
  * @param {string|null} resumedAt - ISO timestamp when resumed, or null if pausing.
  * @param {string} [reason='manual'] - 'manual' or 'auto' for pause reason (backward compatible).
+ * @param {Object} [details] - Why a manual pause was made.
+ * @param {string} [details.category] - One of the board's pause reasons.
+ * @param {string} [details.note] - Free-text note.
+ * @param {{type: string, name: string}} [details.autoTrigger] - The rule that triggered an auto-pause.
  * @returns {Promise<void>}
+ * @throws {Error} If Trello rejects the write (e.g. an observer, or the card's storage is full).
  */
-const savePauseEvent = async (t, pausedAt, resumedAt, reason = "manual") => {
+const savePauseEvent = async (
+  t,
+  pausedAt,
+  resumedAt,
+  reason = "manual",
+  details = {},
+) => {
   const pauseEvents = await getPauseEvents(t);
+  const member = reason === "manual" ? await getCurrentMember(t) : null;
 
   if (pausedAt && !resumedAt) {
     // Creating a new pause event
-    pauseEvents.push({ pausedAt, resumedAt: null, reason });
+    const pauseEvent = { pausedAt, resumedAt: null, reason, pausedBy: member };
+    if (details.category) pauseEvent.category = details.category;
+    if (details.note) pauseEvent.note = details.note;
+    if (details.autoTrigger) pauseEvent.autoTrigger = details.autoTrigger;
+    pauseEvents.push(pauseEvent);
   } else if (resumedAt && pauseEvents.length > 0) {
     // Resuming - update the last pause event
     const lastEvent = pauseEvents[pauseEvents.length - 1];
     if (lastEvent && !lastEvent.resumedAt) {
       lastEvent.resumedAt = resumedAt;
+      lastEvent.resumedBy = member;
     }
   }
 
-  await t.set("card", "private", "pauseEvents", pauseEvents);
+  await t.set("card", "shared", "pauseEvents", trimPauseEvents(pauseEvents));
+};
+
+// Corrections kept in the card's audit log (shared card storage is limited to 4096 characters).
+const MAX_PAUSE_AUDIT_ENTRIES = 10;
+
+/**
+ * Sorts pause events by when they started.
+ * @param {Array} pauseEvents - Array of pause events.
+ * @returns {Array} A sorted copy.
+ */
+const sortPauseEvents = (pauseEvents) =>
+  pauseEvents
+    .slice()
+    .sort((a, b) => new Date(a.pausedAt) - new Date(b.pausedAt));
+
+/**
+ * Checks that pause intervals are well-formed and don't overlap.
+ * @param {Array} pauseEvents - Pause events sorted by pausedAt.
+ * @returns {string|null} An error message, or null if the intervals are valid.
+ */
+const validatePauseEvents = (pauseEvents) => {
+  const now = new Date();
+  for (let i = 0; i < pauseEvents.length; i++) {
+    const event = pauseEvents[i];
+    const pausedAt = new Date(event.pausedAt);
+    if (!event.pausedAt || isNaN(pausedAt)) {
+      return "Each pause needs a start time.";
+    }
+    if (pausedAt > now) {
+      return "A pause can't start in the future.";
+    }
+    if (!event.resumedAt) {
+      if (i < pauseEvents.length - 1) {
+        return "Only the most recent pause can still be running.";
+      }
+      continue;
+    }
+
+    const resumedAt = new Date(event.resumedAt);
+    if (isNaN(resumedAt) || resumedAt <= pausedAt) {
+      return "A pause must end after it starts.";
+    }
+    if (resumedAt > now) {
+      return "A pause can't end in the future.";
+    }
+    const nextEvent = pauseEvents[i + 1];
+    if (nextEvent && new Date(nextEvent.pausedAt) < resumedAt) {
+      return `The pause starting ${dayjs(nextEvent.pausedAt).format("MMM D, YYYY h:mm A")} overlaps the one before it.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Gets the card's log of pause corrections.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<Array<{at: string, by: ?string, action: string, before: ?Object, after: ?Object}>>} Oldest first.
+ */
+const getPauseAudit = async (t) => {
+  const pauseAudit = await t.get("card", "shared", "pauseAudit");
+  return Array.isArray(pauseAudit) ? pauseAudit : [];
+};
+
+/**
+ * Saves corrected pause events and records the correction in the card's audit log.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {Array} pauseEvents - The corrected pause events.
+ * @param {Object} correction - What changed.
+ * @param {string} correction.action - "added", "edited" or "deleted".
+ * @param {?{pausedAt: string, resumedAt: ?string}} correction.before - The interval before the change.
+ * @param {?{pausedAt: string, resumedAt: ?string}} correction.after - The interval after the change.
+ * @returns {Promise<Array>} The saved pause events, sorted.
+ * @throws {Error} If the intervals are invalid or overlap.
+ */
+const savePauseCorrection = async (t, pauseEvents, correction) => {
+  const sortedEvents = sortPauseEvents(pauseEvents);
+  const error = validatePauseEvents(sortedEvents);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const [member, pauseAudit] = await Promise.all([
+    getCurrentMember(t),
+    getPauseAudit(t),
+  ]);
+  const entry = {
+    at: new Date().toISOString(),
+    by: member ? member.name : null,
+    ...correction,
+  };
+
+  const storedEvents = trimPauseEvents(sortedEvents);
+  await t.set("card", "shared", {
+    pauseEvents: storedEvents,
+    pauseAudit: pauseAudit.concat(entry).slice(-MAX_PAUSE_AUDIT_ENTRIES),
+  });
+  return storedEvents;
+};
+
+/**
+ * Builds the list auto-pauses from the card's list history: the card is paused from the moment it
+ * entered a pause list until it left it, whether or not anyone had the board open at the time.
+ * @param {Array} history - Card history from buildCardHistory.
+ * @param {string[]} pauseLists - List IDs that trigger auto-pause.
+ * @returns {Array} Pause events (read-only, marked fromHistory).
+ */
+const buildListPauseEvents = (history, pauseLists) =>
+  (history || [])
+    .map((entry, index) => ({ entry, nextEntry: history[index + 1] }))
+    .filter(({ entry }) => isListInPauseLists(entry.listId, pauseLists))
+    .map(({ entry, nextEntry }) => ({
+      pausedAt: entry.enteredAt,
+      resumedAt: nextEntry ? nextEntry.enteredAt : null,
+      reason: "auto",
+      autoTrigger: { type: "list", name: entry.listName },
+      fromHistory: true,
+    }));
+
+/**
+ * Combines stored pauses (manual, label and checklist) with the list auto-pauses from history.
+ * @param {Array} pauseEvents - Stored pause events.
+ * @param {Array} history - Card history from buildCardHistory.
+ * @param {string[]} pauseLists - List IDs that trigger auto-pause.
+ * @returns {Array} All pause events, sorted by pausedAt. Intervals may overlap.
+ */
+const getEffectivePauseEvents = (pauseEvents, history, pauseLists) =>
+  sortPauseEvents(
+    (pauseEvents || []).concat(buildListPauseEvents(history, pauseLists)),
+  );
+
+/**
+ * Trims overlapping pauses so no paused time is counted twice. The earlier pause keeps the
+ * overlapping time; a pause that lies entirely within an earlier one is dropped.
+ * @param {Array} pauseEvents - Array of pause events.
+ * @returns {Array} Non-overlapping pause events, sorted by pausedAt.
+ */
+const mergePauseIntervals = (pauseEvents) => {
+  const mergedEvents = [];
+  let coveredUntil = null; // Infinity once a pause is still running
+
+  sortPauseEvents(
+    (pauseEvents || []).filter((event) => event.pausedAt),
+  ).forEach((event) => {
+    const pausedAt = new Date(event.pausedAt);
+    const resumedAt = event.resumedAt ? new Date(event.resumedAt) : Infinity;
+    if (coveredUntil !== null && resumedAt <= coveredUntil) return;
+
+    const start =
+      coveredUntil !== null && pausedAt < coveredUntil
+        ? coveredUntil
+        : pausedAt;
+    mergedEvents.push({ ...event, pausedAt: start.toISOString() });
+    coveredUntil = resumedAt;
+  });
+
+  return mergedEvents;
 };
 
 /**
  * Calculates the total paused time in minutes from pause events.
+ * Overlapping pauses are only counted once.
  * @param {Array} pauseEvents - Array of pause events.
+ * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
  * @returns {number} Total paused minutes.
  */
-const calculateTotalPausedMinutes = (pauseEvents) => {
+const calculateTotalPausedMinutes = (pauseEvents, businessTimeOptions) => {
   if (!pauseEvents || pauseEvents.length === 0) {
     return 0;
   }
@@ -191,13 +779,17 @@ const calculateTotalPausedMinutes = (pauseEvents) => {
   let totalPausedMinutes = 0;
   const now = new Date();
 
-  pauseEvents.forEach((event) => {
+  mergePauseIntervals(pauseEvents).forEach((event) => {
     if (event.pausedAt) {
       const pausedAt = new Date(event.pausedAt);
       const resumedAt = event.resumedAt ? new Date(event.resumedAt) : now;
 
       // Calculate the paused duration using business time calculation
-      totalPausedMinutes += calculateBusinessMinutes(pausedAt, resumedAt);
+      totalPausedMinutes += calculateBusinessMinutes(
+        pausedAt,
+        resumedAt,
+        businessTimeOptions,
+      );
     }
   });
 
@@ -205,7 +797,57 @@ const calculateTotalPausedMinutes = (pauseEvents) => {
 };
 
 /**
- * Checks if a card is currently paused.
+ * Names the reason for a pause event, for display.
+ * @param {Object} pauseEvent - A pause event.
+ * @returns {string} The chosen pause reason, "Auto-pause (…)" naming the rule, or "No reason given".
+ */
+const getPauseReasonLabel = (pauseEvent) => {
+  if (pauseEvent.category) return pauseEvent.category;
+  if (pauseEvent.reason !== "auto") return "No reason given";
+
+  // Auto-pauses saved before label and checklist rules were always list moves
+  const trigger = pauseEvent.autoTrigger || { type: "list" };
+  return trigger.name
+    ? `Auto-pause (${trigger.type}: ${trigger.name})`
+    : `Auto-pause (${trigger.type})`;
+};
+
+/**
+ * Describes who paused and resumed a pause event (e.g. "Paused by Ana · Resumed by Ben").
+ * @param {Object} pauseEvent - A pause event.
+ * @returns {string} Empty when neither is known (auto-pauses and events from older versions).
+ */
+const formatPauseMembers = (pauseEvent) => {
+  const parts = [];
+  if (pauseEvent.pausedBy) parts.push(`Paused by ${pauseEvent.pausedBy.name}`);
+  if (pauseEvent.resumedBy) {
+    parts.push(`Resumed by ${pauseEvent.resumedBy.name}`);
+  }
+  return parts.join(" · ");
+};
+
+/**
+ * Totals paused time per pause reason. Where pauses overlap, the earlier pause's reason gets the time.
+ * @param {Array} pauseEvents - Array of pause events.
+ * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
+ * @returns {Array<{label: string, minutes: number}>} Paused minutes by reason, longest first.
+ */
+const calculatePausedMinutesByReason = (pauseEvents, businessTimeOptions) => {
+  const minutesByReason = {};
+  mergePauseIntervals(pauseEvents).forEach((event) => {
+    const label = getPauseReasonLabel(event);
+    minutesByReason[label] =
+      (minutesByReason[label] || 0) +
+      calculateTotalPausedMinutes([event], businessTimeOptions);
+  });
+
+  return Object.keys(minutesByReason)
+    .map((label) => ({ label, minutes: minutesByReason[label] }))
+    .sort((a, b) => b.minutes - a.minutes);
+};
+
+/**
+ * Checks if a card is currently paused, i.e. any of the pauses is still running.
  * @param {Array} pauseEvents - Array of pause events.
  * @returns {boolean} True if currently paused.
  */
@@ -214,8 +856,7 @@ const isCardPaused = (pauseEvents) => {
     return false;
   }
 
-  const lastEvent = pauseEvents[pauseEvents.length - 1];
-  return lastEvent && lastEvent.pausedAt && !lastEvent.resumedAt;
+  return pauseEvents.some((event) => event.pausedAt && !event.resumedAt);
 };
 
 /**
@@ -235,45 +876,206 @@ const isLastPauseAuto = (pauseEvents) => {
   return isPaused && reason === "auto";
 };
 
+// Card shared storage key for the cached checklist auto-pause triggers
+const CHECKLIST_TRIGGER_CACHE_KEY = "checklistTriggerCache";
+
+/**
+ * Finds the card's unchecked checklist items named by an auto-pause rule. The result is cached in
+ * card shared storage and only fetched again when the card's checklist counts, last activity or the
+ * rules change, so badge renders don't call the REST API.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {{id: string, badges: Object, dateLastActivity: string}} card - The card.
+ * @param {string[]} checklistItems - Checklist item names that pause the timer.
+ * @returns {Promise<Array<{key: string, type: string, name: string}>|null>} Checklist triggers, or
+ *   null if the checklists couldn't be loaded.
+ */
+const getChecklistTriggers = async (t, card, checklistItems) => {
+  const ruleNames = checklistItems.map((name) => name.trim().toLowerCase());
+  const { checkItems, checkItemsChecked } = card.badges;
+  const cache = await t.get("card", "shared", CHECKLIST_TRIGGER_CACHE_KEY);
+  if (
+    cache &&
+    cache.checkItems === checkItems &&
+    cache.checkItemsChecked === checkItemsChecked &&
+    cache.dateLastActivity === card.dateLastActivity &&
+    cache.ruleNames.join("\n") === ruleNames.join("\n")
+  ) {
+    return cache.triggers;
+  }
+
+  const token = await getAuthToken(t);
+  if (!token) {
+    return null;
+  }
+  let checklists;
+  try {
+    checklists = await TrelloApi.fetchCardChecklists(card.id, token);
+  } catch (err) {
+    console.error("❌ Could not load checklists:", err);
+    return null;
+  }
+
+  const triggers = [];
+  checklists.forEach((checklist) => {
+    (checklist.checkItems || []).forEach((item) => {
+      const itemName = item.name.trim().toLowerCase();
+      if (
+        item.state === "incomplete" &&
+        ruleNames.includes(itemName) &&
+        !triggers.some((trigger) => trigger.key === `checklist:${itemName}`)
+      ) {
+        triggers.push({
+          key: `checklist:${itemName}`,
+          type: "checklist",
+          name: item.name.trim(),
+        });
+      }
+    });
+  });
+
+  // Observers can't write plugin data; they just fetch again next time
+  await t
+    .set("card", "shared", CHECKLIST_TRIGGER_CACHE_KEY, {
+      checkItems,
+      checkItemsChecked,
+      dateLastActivity: card.dateLastActivity,
+      ruleNames,
+      triggers,
+    })
+    .catch((err) => {
+      console.warn("⚠️ Could not cache checklist auto-pause data:", err);
+    });
+
+  return triggers;
+};
+
+/**
+ * Works out which label and checklist auto-pause rules currently apply to a card: carrying a pause
+ * label, or having an unchecked checklist item with a pause item name.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {Object} card - The card, with id, labels, badges and dateLastActivity.
+ * @param {{labelIds: string[], checklistItems: string[]}} pauseRules - Label and checklist rules.
+ * @returns {Promise<Array<{key: string, type: string, name: string}>|null>} Active triggers, each with
+ *   a stable key, or null if the card's checklists were needed but couldn't be loaded.
+ */
+const getActiveAutoPauseTriggers = async (t, card, pauseRules) => {
+  const triggers = [];
+  (card.labels || []).forEach((label) => {
+    if (pauseRules.labelIds.includes(label.id)) {
+      triggers.push({
+        key: `label:${label.id}`,
+        type: "label",
+        name: label.name || label.color,
+      });
+    }
+  });
+
+  // Only load checklists when the badge shows unchecked items
+  const badges = card.badges || {};
+  if (
+    pauseRules.checklistItems.length > 0 &&
+    badges.checkItemsChecked < badges.checkItems
+  ) {
+    // Without the checklists we can't tell whether a rule applies; treating that as "no
+    // triggers" would auto-resume the card until the next successful check
+    const checklistTriggers = await getChecklistTriggers(
+      t,
+      card,
+      pauseRules.checklistItems,
+    );
+    if (!checklistTriggers) {
+      return null;
+    }
+    checklistTriggers.forEach((trigger) => triggers.push(trigger));
+  }
+
+  return triggers;
+};
+
 /**
- * Detects list changes and triggers auto pause when card enters a pause list,
- * or auto resume when card leaves a pause list (only if it was auto-paused).
+ * Auto-pauses the timer when a label or checklist rule starts to apply (the card gets a pause
+ * label, or gains an unchecked pause checklist item), and auto-resumes it once none applies any
+ * more. Only auto-pauses are auto-resumed, and an auto-pause never replaces an existing pause.
+ * List auto-pauses don't go through here: they are rebuilt from the card's list moves by
+ * buildListPauseEvents.
  * @param {Object} t - The Trello Power-Up interface.
  * @returns {Promise<void>}
  */
 const checkAndHandleAutoPauseResume = async (t) => {
-  const card = await t.card("id", "idList");
-  const currentListId = card && card.idList;
-  if (!currentListId) return;
+  const card = await t.card("id", "labels", "badges", "dateLastActivity");
+  if (!card) return;
+
+  const [storedTriggerKeys, pauseRules, pauseEvents] = await Promise.all([
+    t.get("card", "shared", "autoPauseTriggers"),
+    getPauseRulesConfig(t),
+    getPauseEvents(t),
+  ]);
+  const hasStoredTriggers =
+    Array.isArray(storedTriggerKeys) &&
+    storedTriggerKeys.some((key) => !key.startsWith("list:"));
+  if (
+    pauseRules.labelIds.length === 0 &&
+    pauseRules.checklistItems.length === 0 &&
+    !hasStoredTriggers
+  ) {
+    // No rules and nothing left to resume: keep card storage untouched
+    return;
+  }
 
-  const lastListId = await t.get("card", "private", "lastListId");
-  const pauseLists = await getPauseListsConfig(t);
-  const pauseEvents = await getPauseEvents(t);
-  const isPaused = isCardPaused(pauseEvents);
-  const wasAutoPaused = isLastPauseAuto(pauseEvents);
+  const triggers = await getActiveAutoPauseTriggers(t, card, pauseRules);
+  if (!triggers) {
+    // Checklists couldn't be loaded: leave the pause state and stored triggers as they are
+    return;
+  }
+  const triggerKeys = triggers.map((trigger) => trigger.key);
 
-  const listChanged = lastListId !== currentListId;
-  const newListIsPauseList = isListInPauseLists(currentListId, pauseLists);
-  const oldListWasPauseList = isListInPauseLists(lastListId, pauseLists);
+  // A card seen for the first time starts from its current state.
+  // List triggers stored by older versions no longer apply.
+  const previousKeys = Array.isArray(storedTriggerKeys)
+    ? storedTriggerKeys.filter((key) => !key.startsWith("list:"))
+    : triggerKeys;
 
-  if (listChanged) {
-    if (newListIsPauseList && !isPaused) {
-      await savePauseEvent(t, new Date().toISOString(), null, "auto");
-    } else if (oldListWasPauseList && wasAutoPaused) {
-      await savePauseEvent(t, null, new Date().toISOString(), "manual");
+  const newTrigger = triggers.find(
+    (trigger) => !previousKeys.includes(trigger.key),
+  );
+  try {
+    if (newTrigger && !isCardPaused(pauseEvents)) {
+      await savePauseEvent(t, new Date().toISOString(), null, "auto", {
+        autoTrigger: { type: newTrigger.type, name: newTrigger.name },
+      });
+    } else if (
+      triggers.length === 0 &&
+      previousKeys.length > 0 &&
+      isLastPauseAuto(pauseEvents)
+    ) {
+      await savePauseEvent(t, null, new Date().toISOString(), "auto");
     }
-    await t.set("card", "private", "lastListId", currentListId);
-  } else if (lastListId == null) {
-    await t.set("card", "private", "lastListId", currentListId);
+  } catch (err) {
+    // Keep the stored triggers so the change is tried again on the next render
+    console.warn("⚠️ Could not save the auto-pause:", err);
+    return;
+  }
+
+  if (
+    !Array.isArray(storedTriggerKeys) ||
+    storedTriggerKeys.join(",") !== triggerKeys.join(",")
+  ) {
+    // Observers can't write plugin data; they check again on the next render
+    await t
+      .set("card", "shared", "autoPauseTriggers", triggerKeys)
+      .catch((err) => {
+        console.warn("⚠️ Could not store auto-pause triggers:", err);
+      });
   }
 };
 
 /**
  * Toggles the pause/resume state of a card's timer (manual pause/resume).
  * @param {Object} t - The Trello Power-Up interface.
+ * @param {{category: string, note: string}} [details] - Why the timer is being paused.
  * @returns {Promise<boolean>} The new pause state (true if paused, false if resumed).
  */
-const togglePauseResume = async (t) => {
+const togglePauseResume = async (t, details) => {
   const now = new Date().toISOString();
   const pauseEvents = await getPauseEvents(t);
   const isPaused = isCardPaused(pauseEvents);
@@ -284,7 +1086,7 @@ const togglePauseResume = async (t) => {
     return false; // Now active
   } else {
     // Pause the timer (manual)
-    await savePauseEvent(t, now, null, "manual");
+    await savePauseEvent(t, now, null, "manual", details);
     return true; // Now paused
   }
 };
@@ -296,29 +1098,724 @@ const PAUSE_RESUME_COLORS = {
   paused: "red",
 };
 
-const PAUSE_RESUME_TEXT = {
-  pauseButton: "⏸️ Pause Timer",
-  resumeButton: "⏯️ Resume Timer",
-  pauseBadge: "⏸️ Pause",
-  resumeBadge: "⏯️ Resume",
-  pausedMessage: "Timer paused! ⏸️",
-  resumedMessage: "Timer resumed! ⏱️",
-};
+const SLA_COLORS = {
+  warning: "yellow",
+  breach: "red",
+};
+
+const PAUSE_RESUME_TEXT = {
+  pauseButton: "⏸️ Pause Timer",
+  resumeButton: "⏯️ Resume Timer",
+  pauseBadge: "⏸️ Pause",
+  resumeBadge: "⏯️ Resume",
+  pausedMessage: "Timer paused! ⏸️",
+  resumedMessage: "Timer resumed! ⏱️",
+};
+
+/**
+ * Shared callback for pause/resume button clicks.
+ * Pausing opens the pause popup to ask for a reason; resuming shows an alert and closes the popup to refresh.
+ * @param {Object} t - The Trello Power-Up interface.
+ */
+const pauseResumeCallback = async (t) => {
+  const pauseEvents = await getPauseEvents(t);
+  if (!isCardPaused(pauseEvents)) {
+    return t.popup({
+      title: "Pause Timer",
+      url: "./pause.html",
+      height: 260,
+    });
+  }
+
+  try {
+    await togglePauseResume(t);
+  } catch (err) {
+    console.error("❌ Could not resume the timer:", err);
+    return t.alert({
+      message: `Could not resume the timer: ${err.message}`,
+      duration: 5,
+      display: "error",
+    });
+  }
+  await t.alert({
+    message: PAUSE_RESUME_TEXT.resumedMessage,
+    duration: 3,
+  });
+  return t.closePopup();
+};
+
+const escapeHtml = (text) => {
+  const div = document.createElement("div");
+  div.textContent = text == null ? "" : String(text);
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, "&quot;");
+};
+
+/**
+ * Renders the pause form (required reason and optional note) into a container.
+ * Used by the pause popup and the card back section.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Function} onPaused - Called after the pause has been saved.
+ * @returns {Promise<void>}
+ */
+const renderPauseForm = async (t, container, onPaused) => {
+  const pauseReasons = await getPauseReasonsConfig(t);
+
+  container.innerHTML = `
+    <form class="pause-form" id="pause-form">
+      <label class="pause-form-label" for="pause-reason-select">Reason</label>
+      <select id="pause-reason-select" class="pause-form-input" required>
+        <option value="">Choose a reason…</option>
+        ${pauseReasons
+          .map(
+            (reason) =>
+              `<option value="${escapeHtml(reason)}">${escapeHtml(reason)}</option>`,
+          )
+          .join("")}
+      </select>
+      <label class="pause-form-label" for="pause-note-input">Note (optional)</label>
+      <textarea id="pause-note-input" class="pause-form-input" rows="3" maxlength="500" placeholder="e.g. Waiting for the customer to send logs"></textarea>
+      <p class="settings-error" id="pause-form-error"></p>
+      <button type="submit" class="pause-button paused">${PAUSE_RESUME_TEXT.pauseButton}</button>
+    </form>
+  `;
+
+  const form = container.querySelector("#pause-form");
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const category = form.querySelector("#pause-reason-select").value;
+    const note = form.querySelector("#pause-note-input").value.trim();
+    if (!category) {
+      form.querySelector("#pause-form-error").textContent =
+        "Choose a reason for pausing the timer.";
+      return;
+    }
+
+    const pauseEvents = await getPauseEvents(t);
+    if (!isCardPaused(pauseEvents)) {
+      try {
+        await togglePauseResume(t, { category, note });
+      } catch (err) {
+        console.error("❌ Could not pause the timer:", err);
+        form.querySelector("#pause-form-error").textContent =
+          `Could not pause the timer: ${err.message}`;
+        return;
+      }
+    }
+    await onPaused();
+  });
+};
+
+const formatPauseDate = (date) => dayjs(date).format("MMM D, YYYY h:mm A");
+
+/**
+ * Describes a pause interval (e.g. "Mar 3, 2026 9:00 AM – Mar 4, 2026 5:00 PM").
+ * @param {{pausedAt: string, resumedAt: ?string}} interval
+ * @returns {string}
+ */
+const formatPauseInterval = (interval) =>
+  `${formatPauseDate(interval.pausedAt)} – ${
+    interval.resumedAt ? formatPauseDate(interval.resumedAt) : "now"
+  }`;
+
+/**
+ * Describes a pause correction for the audit log.
+ * @param {Object} entry - An audit log entry.
+ * @returns {string}
+ */
+const formatPauseCorrection = (entry) => {
+  const who = entry.by || "Someone";
+  if (entry.action === "added") {
+    return `${who} added ${formatPauseInterval(entry.after)}`;
+  }
+  if (entry.action === "deleted") {
+    return `${who} deleted ${formatPauseInterval(entry.before)}`;
+  }
+  return `${who} changed ${formatPauseInterval(entry.before)} to ${formatPauseInterval(entry.after)}`;
+};
+
+/**
+ * Renders the editable pause timeline (newest first) with its corrections log.
+ * Stored pauses can be added, edited or deleted; every change is validated and audited.
+ * List auto-pauses come from the card's list moves and are shown read-only.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array} pauseEvents - The card's stored pause events.
+ * @param {Function} onChange - Called with the saved pause events after each correction.
+ * @param {Array} [listPauseEvents] - List auto-pauses from buildListPauseEvents.
+ * @returns {Promise<void>}
+ */
+const renderPauseTimeline = async (
+  t,
+  container,
+  pauseEvents,
+  onChange,
+  listPauseEvents = [],
+) => {
+  const [pauseReasons, pauseAudit] = await Promise.all([
+    getPauseReasonsConfig(t),
+    getPauseAudit(t),
+  ]);
+  const toDateTimeInputValue = (date) =>
+    date ? dayjs(date).format("YYYY-MM-DDTHH:mm") : "";
+
+  const editFormHtml = (event, index) => {
+    const reasons =
+      event.category && !pauseReasons.includes(event.category)
+        ? pauseReasons.concat(event.category)
+        : pauseReasons;
+    return `<form class="pause-edit-form" data-index="${index}">
+        <label class="pause-form-label">Paused at</label>
+        <input type="datetime-local" class="pause-form-input" name="pausedAt" value="${toDateTimeInputValue(event.pausedAt)}" required>
+        <label class="pause-form-label">Resumed at (leave empty if still paused)</label>
+        <input type="datetime-local" class="pause-form-input" name="resumedAt" value="${toDateTimeInputValue(event.resumedAt)}">
+        <label class="pause-form-label">Reason</label>
+        <select class="pause-form-input" name="category">
+          <option value="">${escapeHtml(getPauseReasonLabel({ ...event, category: null }))}</option>
+          ${reasons
+            .map(
+              (reason) =>
+                `<option value="${escapeHtml(reason)}"${reason === event.category ? " selected" : ""}>${escapeHtml(reason)}</option>`,
+            )
+            .join("")}
+        </select>
+        <label class="pause-form-label">Note</label>
+        <textarea class="pause-form-input" name="note" rows="2" maxlength="500">${escapeHtml(event.note || "")}</textarea>
+        <p class="settings-error pause-edit-error"></p>
+        <button type="submit" class="save-pause-lists-btn">Save</button>
+        <button type="button" class="pause-timeline-btn" data-action="cancel">Cancel</button>
+      </form>`;
+  };
+
+  const itemHtml = (event, index) => `<li class="pause-history-item">
+      <div class="pause-history-dates">${formatPauseInterval(event)}</div>
+      <div class="pause-history-reason">${escapeHtml(getPauseReasonLabel(event))}</div>
+      <div class="pause-history-members">${escapeHtml(formatPauseMembers(event))}</div>
+      ${
+        event.note
+          ? `<div class="pause-history-note">${escapeHtml(event.note)}</div>`
+          : ""
+      }
+      ${
+        event.fromHistory
+          ? '<div class="pause-history-members">From list moves – move the card to change it</div>'
+          : `<div class="pause-history-actions">
+              <button type="button" class="pause-timeline-btn" data-action="edit" data-index="${index}">Edit</button>
+              <button type="button" class="pause-timeline-btn" data-action="delete" data-index="${index}">Delete</button>
+            </div>`
+      }
+    </li>`;
+
+  const render = () => {
+    // Stored pauses keep their index for editing; list auto-pauses have none
+    const items = pauseEvents
+      .map((event, index) => ({ event, index }))
+      .concat(listPauseEvents.map((event) => ({ event, index: null })))
+      .sort((a, b) => new Date(b.event.pausedAt) - new Date(a.event.pausedAt))
+      .map(({ event, index }) => itemHtml(event, index));
+    container.innerHTML = `
+      <div class="pause-history-header">
+        <strong>Pause history</strong>
+        <button type="button" class="pause-timeline-btn" data-action="add">+ Add pause</button>
+      </div>
+      <div class="pause-new-container"></div>
+      <ul class="pause-history-list">
+        ${items.length > 0 ? items.join("") : '<li class="pause-history-item">No pauses yet.</li>'}
+      </ul>
+      ${
+        pauseAudit.length > 0
+          ? `<details class="pause-audit">
+              <summary>Corrections (${pauseAudit.length})</summary>
+              <ul class="pause-history-list">
+                ${pauseAudit
+                  .slice()
+                  .reverse()
+                  .map(
+                    (entry) =>
+                      `<li class="pause-history-item">
+                        <div class="pause-history-dates">${formatPauseDate(entry.at)}</div>
+                        <div>${escapeHtml(formatPauseCorrection(entry))}</div>
+                      </li>`,
+                  )
+                  .join("")}
+              </ul>
+            </details>`
+          : ""
+      }
+    `;
+    t.sizeTo("#content");
+  };
+
+  const save = async (newEvents, correction, errorElement) => {
+    try {
+      const savedEvents = await savePauseCorrection(t, newEvents, correction);
+      await onChange(savedEvents);
+    } catch (err) {
+      errorElement.textContent = err.message;
+      t.sizeTo("#content");
+    }
+  };
+
+  const interval = (event) => ({
+    pausedAt: event.pausedAt,
+    resumedAt: event.resumedAt || null,
+  });
+
+  container.addEventListener("click", async (event) => {
+    const action = event.target.getAttribute("data-action");
+    const index = parseInt(event.target.getAttribute("data-index"), 10);
+    if (action === "add") {
+      container.querySelector(".pause-new-container").innerHTML = editFormHtml(
+        { pausedAt: null, resumedAt: null },
+        "new",
+      );
+      t.sizeTo("#content");
+    } else if (action === "edit") {
+      event.target.closest(".pause-history-item").innerHTML = editFormHtml(
+        pauseEvents[index],
+        index,
+      );
+      t.sizeTo("#content");
+    } else if (action === "cancel") {
+      render();
+    } else if (action === "delete") {
+      const errorElement = document.createElement("p");
+      errorElement.className = "settings-error";
+      event.target.closest(".pause-history-item").appendChild(errorElement);
+      await save(
+        pauseEvents.filter((_, i) => i !== index),
+        {
+          action: "deleted",
+          before: interval(pauseEvents[index]),
+          after: null,
+        },
+        errorElement,
+      );
+    }
+  });
+
+  container.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const errorElement = form.querySelector(".pause-edit-error");
+    const pausedAt = form.elements.pausedAt.value;
+    const resumedAt = form.elements.resumedAt.value;
+    if (!pausedAt) {
+      errorElement.textContent = "Enter when the pause started.";
+      return;
+    }
+
+    const indexValue = form.getAttribute("data-index");
+    const existingEvent =
+      indexValue === "new"
+        ? { reason: "manual" }
+        : pauseEvents[parseInt(indexValue, 10)];
+    const editedEvent = {
+      ...existingEvent,
+      pausedAt: dayjs(pausedAt).toISOString(),
+      resumedAt: resumedAt ? dayjs(resumedAt).toISOString() : null,
+    };
+    delete editedEvent.category;
+    delete editedEvent.note;
+    if (form.elements.category.value) {
+      editedEvent.category = form.elements.category.value;
+    }
+    if (form.elements.note.value.trim()) {
+      editedEvent.note = form.elements.note.value.trim();
+    }
+
+    if (indexValue === "new") {
+      await save(
+        pauseEvents.concat(editedEvent),
+        { action: "added", before: null, after: interval(editedEvent) },
+        errorElement,
+      );
+    } else {
+      await save(
+        pauseEvents.map((e) => (e === existingEvent ? editedEvent : e)),
+        {
+          action: "edited",
+          before: interval(existingEvent),
+          after: interval(editedEvent),
+        },
+        errorElement,
+      );
+    }
+  });
+
+  render();
+};
+
+/**
+ * Splits a card's history into list visits, each ending when the next one starts.
+ * @param {Array} history - Card history from applyCurrentListNames.
+ * @param {Date} now - End of the current visit.
+ * @returns {Array<{listId: string, listName: string, boardId: ?string, boardName: ?string,
+ *   formerNames: string[], isOffBoard: boolean, start: Date, end: Date, isCurrent: boolean}>}
+ */
+const buildListVisits = (history, now) =>
+  (history || []).map((entry, index) => {
+    const isCurrent = index === history.length - 1;
+    return {
+      listId: entry.listId,
+      listName: entry.listName,
+      boardId: entry.boardId || null,
+      boardName: entry.boardName || null,
+      formerNames: entry.formerNames || [],
+      isOffBoard: Boolean(entry.isOffBoard),
+      start: dayjs(entry.enteredAt).toDate(),
+      end: isCurrent ? now : dayjs(history[index + 1].enteredAt).toDate(),
+      isCurrent,
+    };
+  });
+
+/**
+ * Formats wall-clock time, nights and weekends included (e.g. "3d 4h", "5h 20m").
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+const formatCalendarDuration = (milliseconds) => {
+  const totalMinutes = Math.floor(milliseconds / 60000);
+  if (totalMinutes < 1) {
+    return "Less than a minute";
+  }
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+/**
+ * Builds the Gantt-style timeline of a card's list visits: one row per list, one segment per
+ * visit, with the pauses that fell inside each visit drawn over it. Segments are placed on a
+ * calendar-time axis; their tooltips give both business and calendar durations.
+ * @param {Array} history - Card history from buildCardHistory.
+ * @param {Array} pauseEvents - Stored pauses plus list auto-pauses.
+ * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
+ * @returns {string} HTML.
+ */
+const renderHistoryTimeline = (history, pauseEvents, businessTimeOptions) => {
+  const now = new Date();
+  const visits = buildListVisits(history, now);
+  const showBoard = historySpansBoards(history);
+  const timelineStart = visits[0].start;
+  const timelineMs = Math.max(now - timelineStart, 1);
+  const pauses = mergePauseIntervals(pauseEvents).map((event) => ({
+    event,
+    start: new Date(event.pausedAt),
+    end: event.resumedAt ? new Date(event.resumedAt) : now,
+  }));
+
+  // Position on the axis as a percentage; short spans stay wide enough to hover
+  const position = (start, end) =>
+    `left: ${((start - timelineStart) / timelineMs) * 100}%; width: ${Math.max(
+      ((end - start) / timelineMs) * 100,
+      0.5,
+    )}%;`;
+
+  const rows = [];
+  visits.forEach((visit) => {
+    let row = rows.find((item) => item.listId === visit.listId);
+    if (!row) {
+      row = {
+        listId: visit.listId,
+        listName: formatListName(visit, showBoard),
+        listTooltip: [
+          formatListName(visit, showBoard),
+          describeListNames(visit),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        segments: "",
+      };
+      rows.push(row);
+    }
+
+    const businessMinutes = calculateBusinessMinutes(
+      visit.start,
+      visit.end,
+      businessTimeOptions,
+    );
+    const pausedMinutes = calculatePausedMinutesInPeriod(
+      pauseEvents,
+      visit.start,
+      visit.end,
+      businessTimeOptions,
+    );
+    const visitTooltip = [
+      formatListName(visit, showBoard),
+      formatPauseInterval({
+        pausedAt: visit.start,
+        resumedAt: visit.isCurrent ? null : visit.end,
+      }),
+      `Business time: ${formatBusinessTime(Math.max(0, businessMinutes - pausedMinutes))}${
+        pausedMinutes > 0
+          ? ` (plus ${formatBusinessTime(pausedMinutes)} paused)`
+          : ""
+      }`,
+      `Calendar time: ${formatCalendarDuration(visit.end - visit.start)}`,
+    ].join("\n");
+    row.segments += `<div class="history-timeline-segment${visit.isCurrent ? " current" : ""}" style="${position(visit.start, visit.end)}" title="${escapeHtml(visitTooltip)}"></div>`;
+
+    // Pauses are clipped to the visit they fell in
+    pauses.forEach((pause) => {
+      const start = pause.start > visit.start ? pause.start : visit.start;
+      const end = pause.end < visit.end ? pause.end : visit.end;
+      if (start >= end) return;
+
+      const pauseTooltip = [
+        `Paused: ${getPauseReasonLabel(pause.event)}`,
+        formatPauseInterval({
+          pausedAt: start,
+          resumedAt: end === now ? null : end,
+        }),
+        `Business time: ${formatBusinessTime(
+          calculateBusinessMinutes(start, end, businessTimeOptions),
+        )}`,
+        `Calendar time: ${formatCalendarDuration(end - start)}`,
+      ].join("\n");
+      row.segments += `<div class="history-timeline-pause" style="${position(start, end)}" title="${escapeHtml(pauseTooltip)}"></div>`;
+    });
+  });
+
+  return `
+    <div class="history-timeline">
+      ${rows
+        .map(
+          (row) => `<div class="history-timeline-row">
+            <span class="history-timeline-label" title="${escapeHtml(row.listTooltip)}">${escapeHtml(row.listName)}</span>
+            <div class="history-timeline-track">${row.segments}</div>
+          </div>`,
+        )
+        .join("")}
+      <div class="history-timeline-axis">
+        <span>${escapeHtml(formatPauseDate(timelineStart))}</span>
+        <span>Now</span>
+      </div>
+      <div class="history-timeline-legend">
+        <span><span class="history-timeline-swatch"></span>In list</span>
+        <span><span class="history-timeline-swatch paused"></span>Paused</span>
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Builds the export of a card's list visits and pause events. Minutes are rounded to whole minutes;
+ * business and paused minutes use the same calendar as the card back, and activeTime is formatted
+ * in the board's duration style.
+ * @param {Object} card - The card, with id, name and shortUrl.
+ * @param {Array} history - Card history from applyCurrentListNames.
+ * @param {Array} pauseEvents - Stored pauses plus list auto-pauses (marked fromHistory).
+ * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
+ * @returns {{card: Object, exportedAt: string, visits: Array, pauseEvents: Array}}
+ */
+const buildCardTimeExport = (
+  card,
+  history,
+  pauseEvents,
+  businessTimeOptions,
+) => {
+  const now = new Date();
+  const visits = buildListVisits(history, now).map((visit) => {
+    const businessMinutes = calculateBusinessMinutes(
+      visit.start,
+      visit.end,
+      businessTimeOptions,
+    );
+    const pausedMinutes = calculatePausedMinutesInPeriod(
+      pauseEvents,
+      visit.start,
+      visit.end,
+      businessTimeOptions,
+    );
+    return {
+      listId: visit.listId,
+      list: visit.listName,
+      board: visit.boardName,
+      enteredAt: visit.start.toISOString(),
+      // The current visit hasn't ended yet
+      exitedAt: visit.isCurrent ? null : visit.end.toISOString(),
+      calendarMinutes: Math.round((visit.end - visit.start) / 60000),
+      businessMinutes: Math.round(businessMinutes),
+      pausedMinutes: Math.round(pausedMinutes),
+      activeMinutes: Math.round(Math.max(0, businessMinutes - pausedMinutes)),
+      activeTime: formatBusinessTime(
+        Math.max(0, businessMinutes - pausedMinutes),
+      ),
+    };
+  });
+
+  return {
+    card: { id: card.id, name: card.name, url: card.shortUrl },
+    exportedAt: now.toISOString(),
+    visits,
+    pauseEvents: sortPauseEvents(pauseEvents || []),
+  };
+};
+
+/**
+ * Formats a card export (from buildCardTimeExport) as CSV: the visits, a blank line, then the
+ * pause events.
+ * @param {Object} data - From buildCardTimeExport.
+ * @returns {string}
+ */
+const generateCardTimeCSV = (data) => {
+  const toRow = (values) => values.map(CsvExport.escapeCSV).join(",");
+  const lines = [
+    toRow([
+      "List",
+      "Board",
+      "Entered",
+      "Exited",
+      "Calendar minutes",
+      "Business minutes",
+      "Paused minutes",
+      "Active minutes",
+      "Active time",
+    ]),
+    ...data.visits.map((visit) =>
+      toRow([
+        visit.list,
+        visit.board,
+        visit.enteredAt,
+        visit.exitedAt,
+        visit.calendarMinutes,
+        visit.businessMinutes,
+        visit.pausedMinutes,
+        visit.activeMinutes,
+        visit.activeTime,
+      ]),
+    ),
+    "",
+    toRow([
+      "Paused at",
+      "Resumed at",
+      "Reason",
+      "Note",
+      "Paused by",
+      "Resumed by",
+      "Source",
+    ]),
+    ...data.pauseEvents.map((event) =>
+      toRow([
+        event.pausedAt,
+        event.resumedAt,
+        getPauseReasonLabel(event),
+        event.note,
+        event.pausedBy && event.pausedBy.name,
+        event.resumedBy && event.resumedBy.name,
+        event.fromHistory ? "List move" : event.reason || "manual",
+      ]),
+    ),
+  ];
+  return lines.join("\n");
+};
+
+/**
+ * Works out whether a card has crossed its list's SLA thresholds.
+ * @param {number} activeMinutes - Business minutes in the current list, excluding pauses.
+ * @param {{warnDays: ?number, breachDays: ?number}} [sla] - The list's thresholds in business days.
+ * @returns {string|null} "ok", "warning" or "breach", or null if the list has no SLA.
+ */
+const getSlaStatus = (activeMinutes, sla) => {
+  if (!sla || (sla.warnDays == null && sla.breachDays == null)) {
+    return null;
+  }
+
+  const minutesPerDay = getWorkingMinutesPerDay() || 60 * 24;
+  if (
+    sla.breachDays != null &&
+    activeMinutes >= sla.breachDays * minutesPerDay
+  ) {
+    return "breach";
+  }
+  if (sla.warnDays != null && activeMinutes >= sla.warnDays * minutesPerDay) {
+    return "warning";
+  }
+  return "ok";
+};
+
+/**
+ * Describes a list's SLA (e.g. "SLA: warn at 1 business day, breach at 3 business days").
+ * @param {{warnDays: ?number, breachDays: ?number}} sla - The list's thresholds in business days.
+ * @returns {string}
+ */
+const formatSla = (sla) => {
+  const formatDays = (days) =>
+    days === 1 ? "1 business day" : `${days} business days`;
+  const parts = [];
+  if (sla.warnDays != null) parts.push(`warn at ${formatDays(sla.warnDays)}`);
+  if (sla.breachDays != null) {
+    parts.push(`breach at ${formatDays(sla.breachDays)}`);
+  }
+  return `SLA: ${parts.join(", ")}`;
+};
+
+/**
+ * Compares a card's active time in its list with the list's budget.
+ * Active time already excludes pauses (see calculatePausedMinutesInPeriod), so paused time
+ * never counts against the budget.
+ * @param {number} activeMinutes - Business minutes in the current list, excluding pauses.
+ * @param {?number} budgetHours - The list's budget in business hours.
+ * @returns {{budgetMinutes: number, remainingMinutes: number, percentUsed: number}|null}
+ *   remainingMinutes is negative once the budget is overrun; null if the list has no budget.
+ */
+const getBudgetStatus = (activeMinutes, budgetHours) => {
+  if (!budgetHours) {
+    return null;
+  }
+
+  const budgetMinutes = Math.round(budgetHours * 60);
+  return {
+    budgetMinutes,
+    remainingMinutes: budgetMinutes - activeMinutes,
+    percentUsed: Math.floor((activeMinutes / budgetMinutes) * 100),
+  };
+};
+
+/**
+ * Formats business minutes in hours and minutes (e.g. "3h", "2h 30m", "45m").
+ * Budgets are set in hours, so days aren't used.
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatBudgetTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const remainder = Math.floor(minutes % 60);
+  if (hours === 0) return `${remainder}m`;
+  return remainder === 0 ? `${hours}h` : `${hours}h ${remainder}m`;
+};
+
+/**
+ * Describes how much of a budget is left (e.g. "3h left") or by how much it's overrun ("+2h over").
+ * @param {{remainingMinutes: number}} budget - From getBudgetStatus.
+ * @returns {string}
+ */
+const formatBudgetRemaining = (budget) =>
+  budget.remainingMinutes >= 0
+    ? `${formatBudgetTime(budget.remainingMinutes)} left`
+    : `+${formatBudgetTime(-budget.remainingMinutes)} over`;
+
+// Number of cells in the card-detail budget progress bar
+const BUDGET_PROGRESS_CELLS = 10;
 
 /**
- * Shared callback for pause/resume button clicks.
- * Shows an alert and closes the popup to refresh.
- * @param {Object} t - The Trello Power-Up interface.
+ * Draws a text progress bar for badges, which can't show HTML (e.g. "▰▰▰▰▰▰▱▱▱▱ 60%").
+ * @param {{percentUsed: number}} budget - From getBudgetStatus.
+ * @returns {string}
  */
-const pauseResumeCallback = async (t) => {
-  const nowPaused = await togglePauseResume(t);
-  await t.alert({
-    message: nowPaused
-      ? PAUSE_RESUME_TEXT.pausedMessage
-      : PAUSE_RESUME_TEXT.resumedMessage,
-    duration: 3,
-  });
-  return t.closePopup();
+const formatBudgetProgress = (budget) => {
+  const filledCells = Math.min(
+    BUDGET_PROGRESS_CELLS,
+    Math.round((budget.percentUsed / 100) * BUDGET_PROGRESS_CELLS),
+  );
+  return `${"▰".repeat(filledCells)}${"▱".repeat(
+    BUDGET_PROGRESS_CELLS - filledCells,
+  )} ${budget.percentUsed}%`;
 };
 
 /**
@@ -326,12 +1823,14 @@ const pauseResumeCallback = async (t) => {
  * @param {Array} pauseEvents - Array of pause events.
  * @param {Date} periodStart - Start of the time period.
  * @param {Date} periodEnd - End of the time period.
+ * @param {Object} [businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
  * @returns {number} Paused minutes within the period.
  */
 const calculatePausedMinutesInPeriod = (
   pauseEvents,
   periodStart,
   periodEnd,
+  businessTimeOptions,
 ) => {
   if (!pauseEvents || pauseEvents.length === 0) {
     return 0;
@@ -339,7 +1838,7 @@ const calculatePausedMinutesInPeriod = (
 
   let pausedMinutes = 0;
 
-  pauseEvents.forEach((event) => {
+  mergePauseIntervals(pauseEvents).forEach((event) => {
     if (event.pausedAt) {
       const pausedAt = new Date(event.pausedAt);
       const resumedAt = event.resumedAt
@@ -352,7 +1851,11 @@ const calculatePausedMinutesInPeriod = (
 
       // Only calculate if there's an overlap
       if (overlapStart < overlapEnd) {
-        pausedMinutes += calculateBusinessMinutes(overlapStart, overlapEnd);
+        pausedMinutes += calculateBusinessMinutes(
+          overlapStart,
+          overlapEnd,
+          businessTimeOptions,
+        );
       }
     }
   });
@@ -361,34 +1864,51 @@ const calculatePausedMinutesInPeriod = (
 };
 
 /**
- * Calculates the time spent in the current list (excluding paused time).
+ * Gets the business-time options for the current card. When "exclude assignee absence" is on,
+ * days on which all of the card's members are out of office don't count.
  * @param {Object} t - The Trello Power-Up interface.
- * @returns {Promise<Object>} Object containing { duration, isPaused, pauseEvents }
+ * @returns {Promise<Object>} Options for calculateBusinessMinutes.
  */
-const calculateCurrentListTime = async (t) => {
-  const token = await getAuthToken(t);
-  console.log("🔍 Token:", token);
-  if (!token) {
-    return null;
-  }
-
-  const card = await t.card("id");
-
-  let actions;
-  try {
-    actions = await TrelloApi.fetchCardActions(
-      card.id,
-      token,
-      "updateCard:idList,createCard",
-    );
-  } catch (err) {
-    console.error("❌ API request failed:", err);
-    return null;
+const getCardBusinessTimeOptions = async (t) => {
+  if (!(await MemberAbsences.isAbsenceExclusionEnabled(t))) {
+    return {};
   }
+  const [card, absences] = await Promise.all([
+    t.card("members"),
+    MemberAbsences.getMemberAbsences(t),
+  ]);
+  const memberIds = (card.members || []).map((member) => member.id);
+  return {
+    excludedDates: MemberAbsences.getExcludedDatesForMembers(
+      absences,
+      memberIds,
+    ),
+  };
+};
 
-  // Build complete history to find when card entered current list
-  const history = buildCardHistory(actions, card.id);
-
+/**
+ * Works out a card's time in its current list from already-loaded data.
+ * Shared by the card badges and the board dashboard.
+ * @param {Object} data
+ * @param {Object} data.card - The card, with id and idList.
+ * @param {Array} data.history - Card history from buildCardHistory.
+ * @param {Array} data.storedPauseEvents - The card's stored pause events.
+ * @param {string[]} data.pauseLists - List IDs that trigger auto-pause.
+ * @param {Object} data.listSlas - Per-list SLA thresholds.
+ * @param {Object.<string, number>} [data.listBudgets] - Per-list budgets in business hours.
+ * @param {Object} [data.businessTimeOptions] - Options for calculateBusinessMinutes (e.g. excludedDates).
+ * @returns {Object} Object containing { enteredAt, activeMinutes, duration, isPaused, canResume, pauseEvents, sla, slaStatus, budget }.
+ *   canResume is true when a stored pause is running (list auto-pauses end only when the card leaves the list).
+ */
+const getListTimeInfo = ({
+  card,
+  history,
+  storedPauseEvents,
+  pauseLists,
+  listSlas,
+  listBudgets = {},
+  businessTimeOptions,
+}) => {
   // Find the current list entry - it's the last entry in history
   // This represents the MOST RECENT entry into the current list (not a sum of all times)
   let startDate;
@@ -400,29 +1920,204 @@ const calculateCurrentListTime = async (t) => {
     startDate = getCardCreationDate(card.id);
   }
 
-  // Get pause events
-  const pauseEvents = await getPauseEvents(t);
+  // Stored pauses plus the list auto-pauses from the card's history
+  const pauseEvents = getEffectivePauseEvents(
+    storedPauseEvents,
+    history,
+    pauseLists,
+  );
   const isPaused = isCardPaused(pauseEvents);
 
   // Calculate total elapsed time in current list
   const now = new Date();
-  const totalMinutes = calculateBusinessMinutes(startDate, now);
+  const totalMinutes = calculateBusinessMinutes(
+    startDate,
+    now,
+    businessTimeOptions,
+  );
 
   // Calculate paused time that occurred during the current list period
   const pausedMinutes = calculatePausedMinutesInPeriod(
     pauseEvents,
     startDate,
     now,
+    businessTimeOptions,
   );
 
   // Subtract only the paused time that occurred in the current list
   const activeMinutes = Math.max(0, totalMinutes - pausedMinutes);
-  const duration = formatBusinessTime(activeMinutes);
+  const sla = listSlas[card.idList] || null;
 
   return {
-    duration,
+    enteredAt: startDate,
+    activeMinutes,
+    duration: formatBusinessTime(activeMinutes),
     isPaused,
+    canResume: isCardPaused(storedPauseEvents),
     pauseEvents,
+    sla,
+    slaStatus: getSlaStatus(activeMinutes, sla),
+    budget: getBudgetStatus(activeMinutes, listBudgets[card.idList]),
+  };
+};
+
+// Card shared storage key for the cached current-list entry used by the badges
+const LIST_TIME_CACHE_KEY = "listTimeCache";
+
+/**
+ * Gets the history entry for the card's current list. The entry is cached in card shared storage
+ * and only fetched again (from the card's actions) when the card's list or last activity changes,
+ * so badge renders don't call the REST API.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @param {{id: string, idList: string, dateLastActivity: string}} card - The card.
+ * @returns {Promise<Object|null|undefined>} The entry, null if the card has no history (its creation
+ *   date is used), or undefined if it couldn't be loaded.
+ */
+const getCurrentListEntry = async (t, card) => {
+  const cache = await t.get("card", "shared", LIST_TIME_CACHE_KEY);
+  if (
+    cache &&
+    cache.idList === card.idList &&
+    cache.dateLastActivity === card.dateLastActivity
+  ) {
+    return cache.entry;
+  }
+
+  const token = await getAuthToken(t);
+  if (!token) {
+    return undefined;
+  }
+
+  let actions;
+  try {
+    actions = await TrelloApi.fetchAllCardActions(
+      card.id,
+      token,
+      CARD_HISTORY_ACTION_FILTER,
+      { maxActions: MAX_CARD_ACTIONS },
+    );
+  } catch (err) {
+    console.error("❌ API request failed:", err);
+    return undefined;
+  }
+
+  // Build complete history to find when card entered current list
+  const entry = buildCardHistory(actions, card.id).at(-1) || null;
+
+  // Observers can't write plugin data; they just fetch again next time
+  await t
+    .set("card", "shared", LIST_TIME_CACHE_KEY, {
+      idList: card.idList,
+      dateLastActivity: card.dateLastActivity,
+      entry,
+    })
+    .catch((err) => {
+      console.warn("⚠️ Could not cache Time in List badge data:", err);
+    });
+
+  return entry;
+};
+
+/**
+ * Calculates the time spent in the current list (excluding paused time).
+ * Uses the cached current-list entry, so only pauses and board settings are read on each render.
+ * @param {Object} t - The Trello Power-Up interface.
+ * @returns {Promise<Object>} See getListTimeInfo.
+ */
+const calculateCurrentListTime = async (t) => {
+  const [card, boardLists] = await Promise.all([
+    t.card("id", "idList", "dateLastActivity"),
+    t.lists("id", "name"),
+  ]);
+
+  const entry = await getCurrentListEntry(t, card);
+  if (entry === undefined) {
+    return null;
+  }
+
+  // The current visit is all getListTimeInfo needs: earlier list pauses end before it starts
+  const history = applyCurrentListNames(entry ? [entry] : [], boardLists);
+
+  const [storedPauseEvents, pauseLists, listSlas, listBudgets] =
+    await Promise.all([
+      getPauseEvents(t),
+      getPauseListsConfig(t),
+      getListSlaConfig(t),
+      getListBudgetConfig(t),
+    ]);
+
+  // Use the board's holiday calendar for business time
+  await CalendarSettings.loadCalendarSettings(t);
+  await loadDurationFormat(t);
+  const businessTimeOptions = await getCardBusinessTimeOptions(t);
+
+  return getListTimeInfo({
+    card,
+    history,
+    storedPauseEvents,
+    pauseLists,
+    listSlas,
+    listBudgets,
+    businessTimeOptions,
+  });
+};
+
+// How often (in seconds) the card badge recomputes its duration. Short durations show minutes,
+// so they change often; durations of a day or more are shown in hours at most.
+const BADGE_REFRESH_SECONDS = {
+  underHour: 60,
+  underDay: 5 * 60,
+  longer: 60 * 60,
+};
+
+/**
+ * Picks the card badge's refresh interval from the time it currently shows.
+ * @param {{activeMinutes: number, isPaused: boolean, budget: ?Object}} timeInfo - From getListTimeInfo.
+ * @returns {number} Seconds until the badge should be recomputed.
+ */
+const getBadgeRefreshSeconds = ({ activeMinutes, isPaused, budget }) => {
+  // A paused timer doesn't move; the hourly refresh still picks up pauses ending elsewhere
+  if (isPaused) return BADGE_REFRESH_SECONDS.longer;
+  // With a budget the badge shows the time left or over instead
+  const shownMinutes = budget
+    ? Math.abs(budget.remainingMinutes)
+    : activeMinutes;
+  if (shownMinutes < 60) return BADGE_REFRESH_SECONDS.underHour;
+  // Budgets, precise and hours-only durations keep showing small units past a day
+  if (
+    shownMinutes < (getWorkingMinutesPerDay() || 60 * 24) ||
+    budget ||
+    activeDurationFormat === "precise" ||
+    activeDurationFormat === "hours"
+  ) {
+    return BADGE_REFRESH_SECONDS.underDay;
+  }
+  return BADGE_REFRESH_SECONDS.longer;
+};
+
+/**
+ * Builds the card-front badge for a card's current list time, or its remaining budget.
+ * @param {Object} timeInfo - From getListTimeInfo.
+ * @returns {{text: string, color: string, refresh: number}}
+ */
+const getCardBadge = (timeInfo) => {
+  const { duration, isPaused, slaStatus, budget } = timeInfo;
+
+  let color = PAUSE_RESUME_COLORS.active;
+  if (isPaused) {
+    color = PAUSE_RESUME_COLORS.paused;
+  } else if (budget && budget.remainingMinutes < 0) {
+    color = SLA_COLORS.breach;
+  } else if (SLA_COLORS[slaStatus]) {
+    color = SLA_COLORS[slaStatus];
+  }
+
+  // Lists with a budget count down instead of up
+  const shownTime = budget ? formatBudgetRemaining(budget) : duration;
+  return {
+    text: isPaused ? `⏱️ ${shownTime} ⏸️` : `⏱️ ${shownTime}`,
+    color,
+    refresh: getBadgeRefreshSeconds(timeInfo),
   };
 };
 
@@ -440,6 +2135,7 @@ if (window.location.href.includes("settings.html")) {
        * Renders the auto-pause lists settings section (board-level config).
        * @param {Object} t - The Trello Power-Up interface.
        * @param {string} token - API token.
+       * @returns {Promise<Array|undefined>} The board's lists, if they could be loaded.
        */
       const renderPauseListsSettings = async (t, token) => {
         const container = document.getElementById("pause-lists-settings");
@@ -470,7 +2166,7 @@ if (window.location.href.includes("settings.html")) {
 
         let html = `
           <h3 class="pause-lists-settings-title">Auto-pause lists</h3>
-          <p class="pause-lists-settings-desc">When a card is moved to one of these lists, the timer is automatically paused. Moving it to another list will resume the timer.</p>
+          <p class="pause-lists-settings-desc">When a card is moved to one of these lists, the timer is automatically paused. Moving it to another list will resume the timer. Pauses follow the card's move history, so they are correct even if nobody had the board open.</p>
           <ul class="pause-lists-checkbox-list">
             ${lists
               .map(
@@ -487,6 +2183,7 @@ if (window.location.href.includes("settings.html")) {
               .join("")}
           </ul>
           <button type="button" id="save-pause-lists-btn" class="save-pause-lists-btn">Save</button>
+          <p class="settings-error" id="pause-lists-error"></p>
         `;
         container.innerHTML = html;
 
@@ -499,13 +2196,369 @@ if (window.location.href.includes("settings.html")) {
             const selectedListIds = Array.from(checkboxes).map((el) =>
               el.getAttribute("data-list-id"),
             );
-            await setPauseListsConfig(t, selectedListIds);
+            const errorElement = document.getElementById("pause-lists-error");
+            errorElement.textContent = "";
+            try {
+              await setPauseListsConfig(t, selectedListIds);
+            } catch (err) {
+              console.error("❌ Could not save auto-pause lists:", err);
+              errorElement.textContent = `Could not save auto-pause lists: ${err.message}`;
+              return;
+            }
             saveBtn.textContent = "Saved!";
             setTimeout(() => {
               saveBtn.textContent = "Save";
             }, 2000);
           });
         }
+
+        return lists;
+      };
+
+      /**
+       * Renders the per-list SLA thresholds section (board-level config).
+       * @param {Object} t - The Trello Power-Up interface.
+       * @param {Array} lists - The board's lists.
+       */
+      const renderListSlaSettings = async (t, lists) => {
+        const container = document.getElementById("list-sla-settings");
+        if (!container) return;
+
+        const listSlas = await getListSlaConfig(t);
+        const inputHtml = (listId, field) => {
+          const value = listSlas[listId] && listSlas[listId][field];
+          return `<input type="number" min="0" step="0.5" class="list-sla-input" data-list-id="${listId}" data-field="${field}" value="${value != null ? value : ""}">`;
+        };
+
+        container.innerHTML = `
+          <h3 class="pause-lists-settings-title">List SLAs</h3>
+          <p class="pause-lists-settings-desc">The card badge turns yellow once a card has been in a list for the warning number of business days, and red once it reaches the breach number. Leave both empty for no SLA.</p>
+          <table class="list-sla-table">
+            <thead>
+              <tr><th>List</th><th>Warn at (days)</th><th>Breach at (days)</th></tr>
+            </thead>
+            <tbody>
+              ${lists
+                .map(
+                  (list) =>
+                    `<tr>
+                      <td>${escapeHtml(list.name)}</td>
+                      <td>${inputHtml(list.id, "warnDays")}</td>
+                      <td>${inputHtml(list.id, "breachDays")}</td>
+                    </tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>
+          <button type="button" id="save-list-slas-btn" class="save-pause-lists-btn">Save</button>
+          <p class="settings-error" id="list-sla-error"></p>
+        `;
+
+        const saveBtn = document.getElementById("save-list-slas-btn");
+        const errorElement = document.getElementById("list-sla-error");
+        saveBtn.addEventListener("click", async () => {
+          const newListSlas = {};
+          container.querySelectorAll(".list-sla-input").forEach((input) => {
+            if (input.value === "") return;
+            const listId = input.getAttribute("data-list-id");
+            newListSlas[listId] = newListSlas[listId] || {
+              warnDays: null,
+              breachDays: null,
+            };
+            newListSlas[listId][input.getAttribute("data-field")] = Number(
+              input.value,
+            );
+          });
+
+          const invalidList = lists.find((list) => {
+            const sla = newListSlas[list.id];
+            return (
+              sla &&
+              sla.warnDays != null &&
+              sla.breachDays != null &&
+              sla.breachDays < sla.warnDays
+            );
+          });
+          if (invalidList) {
+            errorElement.textContent = `${invalidList.name}: the breach threshold can't be lower than the warning.`;
+            return;
+          }
+
+          errorElement.textContent = "";
+          try {
+            await setListSlaConfig(t, newListSlas);
+          } catch (err) {
+            console.error("❌ Could not save list SLAs:", err);
+            errorElement.textContent = `Could not save list SLAs: ${err.message}`;
+            return;
+          }
+          saveBtn.textContent = "Saved!";
+          setTimeout(() => {
+            saveBtn.textContent = "Save";
+          }, 2000);
+        });
+      };
+
+      /**
+       * Renders the per-list time budgets section (board-level config).
+       * @param {Object} t - The Trello Power-Up interface.
+       * @param {Array} lists - The board's lists.
+       */
+      const renderListBudgetSettings = async (t, lists) => {
+        const container = document.getElementById("list-budget-settings");
+        if (!container) return;
+
+        const listBudgets = await getListBudgetConfig(t);
+
+        container.innerHTML = `
+          <h3 class="pause-lists-settings-title">List budgets</h3>
+          <p class="pause-lists-settings-desc">Give a list a budget in business hours (e.g. QA: 8) and its card badges count down the time left ("3h left") and then the overrun ("+2h over"). Paused time doesn't count against the budget. Leave empty for no budget.</p>
+          <table class="list-sla-table">
+            <thead>
+              <tr><th>List</th><th>Budget (hours)</th></tr>
+            </thead>
+            <tbody>
+              ${lists
+                .map(
+                  (list) =>
+                    `<tr>
+                      <td>${escapeHtml(list.name)}</td>
+                      <td><input type="number" min="0" step="0.5" class="list-sla-input list-budget-input" data-list-id="${list.id}" value="${listBudgets[list.id] != null ? listBudgets[list.id] : ""}"></td>
+                    </tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>
+          <button type="button" id="save-list-budgets-btn" class="save-pause-lists-btn">Save</button>
+          <p class="settings-error" id="list-budget-error"></p>
+        `;
+
+        const saveBtn = document.getElementById("save-list-budgets-btn");
+        const errorElement = document.getElementById("list-budget-error");
+        saveBtn.addEventListener("click", async () => {
+          const newListBudgets = {};
+          let invalidListId = null;
+          container.querySelectorAll(".list-budget-input").forEach((input) => {
+            if (input.value === "") return;
+            const listId = input.getAttribute("data-list-id");
+            const hours = Number(input.value);
+            if (!(hours > 0)) {
+              invalidListId = invalidListId || listId;
+              return;
+            }
+            newListBudgets[listId] = hours;
+          });
+
+          if (invalidListId) {
+            const invalidList = lists.find((list) => list.id === invalidListId);
+            errorElement.textContent = `${invalidList.name}: the budget must be more than 0 hours.`;
+            return;
+          }
+
+          errorElement.textContent = "";
+          try {
+            await setListBudgetConfig(t, newListBudgets);
+          } catch (err) {
+            console.error("❌ Could not save list budgets:", err);
+            errorElement.textContent = `Could not save list budgets: ${err.message}`;
+            return;
+          }
+          saveBtn.textContent = "Saved!";
+          setTimeout(() => {
+            saveBtn.textContent = "Save";
+          }, 2000);
+        });
+      };
+
+      /**
+       * Renders the label and checklist auto-pause rules section (board-level config).
+       * @param {Object} t - The Trello Power-Up interface.
+       */
+      const renderPauseRulesSettings = async (t) => {
+        const container = document.getElementById("pause-rules-settings");
+        if (!container) return;
+
+        const [board, pauseRules] = await Promise.all([
+          t.board("labels"),
+          getPauseRulesConfig(t),
+        ]);
+        const labels = board.labels || [];
+
+        container.innerHTML = `
+          <h3 class="pause-lists-settings-title">Auto-pause labels and checklist items</h3>
+          <p class="pause-lists-settings-desc">Adding one of these labels to a card, or an unchecked checklist item with one of these names, pauses the timer automatically. The timer resumes once no auto-pause rule applies. Manual pauses are never auto-resumed.</p>
+          <ul class="pause-lists-checkbox-list">
+            ${
+              labels.length === 0
+                ? '<li class="pause-lists-checkbox-item">This board has no labels.</li>'
+                : labels
+                    .map(
+                      (label) =>
+                        `<li class="pause-lists-checkbox-item">
+                          <label>
+                            <input type="checkbox" class="pause-label-checkbox" data-label-id="${label.id}" ${pauseRules.labelIds.includes(label.id) ? "checked" : ""}>
+                            <span>${escapeHtml(label.name || label.color || "(no name)")}</span>
+                          </label>
+                        </li>`,
+                    )
+                    .join("")
+            }
+          </ul>
+          <label class="pause-form-label" for="pause-checklist-items-input">Checklist item names (one per line)</label>
+          <textarea id="pause-checklist-items-input" class="pause-form-input" rows="3" placeholder="e.g. Customer sign-off">${escapeHtml(pauseRules.checklistItems.join("\n"))}</textarea>
+          <button type="button" id="save-pause-rules-btn" class="save-pause-lists-btn">Save</button>
+          <p class="settings-error" id="pause-rules-error"></p>
+        `;
+
+        const saveBtn = document.getElementById("save-pause-rules-btn");
+        const errorElement = document.getElementById("pause-rules-error");
+        saveBtn.addEventListener("click", async () => {
+          const labelIds = Array.from(
+            container.querySelectorAll(".pause-label-checkbox:checked"),
+          ).map((el) => el.getAttribute("data-label-id"));
+          const checklistItems = document
+            .getElementById("pause-checklist-items-input")
+            .value.split("\n")
+            .map((name) => name.trim())
+            .filter(
+              (name, index, names) => name && names.indexOf(name) === index,
+            );
+          errorElement.textContent = "";
+          try {
+            await setPauseRulesConfig(t, { labelIds, checklistItems });
+          } catch (err) {
+            console.error("❌ Could not save auto-pause rules:", err);
+            errorElement.textContent = `Could not save auto-pause rules: ${err.message}`;
+            return;
+          }
+          saveBtn.textContent = "Saved!";
+          setTimeout(() => {
+            saveBtn.textContent = "Save";
+          }, 2000);
+        });
+      };
+
+      /**
+       * Renders the pause reasons section (board-level config).
+       * @param {Object} t - The Trello Power-Up interface.
+       */
+      const renderPauseReasonsSettings = async (t) => {
+        const container = document.getElementById("pause-reasons-settings");
+        if (!container) return;
+
+        const pauseReasons = (await getPauseReasonsConfig(t)).slice();
+
+        const render = () => {
+          container.innerHTML = `
+            <h3 class="pause-lists-settings-title">Pause reasons</h3>
+            <p class="pause-lists-settings-desc">Pausing the timer asks for one of these reasons and an optional note. The card back breaks paused time down by reason.</p>
+            <ul class="pause-lists-checkbox-list">
+              ${pauseReasons
+                .map(
+                  (reason, index) =>
+                    `<li class="pause-lists-checkbox-item pause-reason-item">
+                      <span>${escapeHtml(reason)}</span>
+                      <button type="button" class="pause-reason-delete" data-index="${index}" title="Remove reason">✕</button>
+                    </li>`,
+                )
+                .join("")}
+            </ul>
+            <div class="pause-reason-add">
+              <input type="text" id="pause-reason-input" class="pause-form-input" maxlength="60" placeholder="New reason">
+              <button type="button" id="add-pause-reason-btn" class="save-pause-lists-btn">+ Add</button>
+            </div>
+            <button type="button" id="save-pause-reasons-btn" class="save-pause-lists-btn">Save</button>
+            <p class="settings-error" id="pause-reasons-error"></p>
+          `;
+          t.sizeTo("#content");
+        };
+
+        container.addEventListener("click", async (event) => {
+          const errorElement = document.getElementById("pause-reasons-error");
+          if (event.target.classList.contains("pause-reason-delete")) {
+            pauseReasons.splice(
+              parseInt(event.target.getAttribute("data-index"), 10),
+              1,
+            );
+            render();
+          } else if (event.target.id === "add-pause-reason-btn") {
+            const reason = document
+              .getElementById("pause-reason-input")
+              .value.trim();
+            if (!reason) return;
+            if (pauseReasons.includes(reason)) {
+              errorElement.textContent = `"${reason}" is already a reason.`;
+              return;
+            }
+            pauseReasons.push(reason);
+            render();
+          } else if (event.target.id === "save-pause-reasons-btn") {
+            if (pauseReasons.length === 0) {
+              errorElement.textContent = "Keep at least one pause reason.";
+              return;
+            }
+            errorElement.textContent = "";
+            try {
+              await setPauseReasonsConfig(t, pauseReasons);
+            } catch (err) {
+              console.error("❌ Could not save pause reasons:", err);
+              errorElement.textContent = `Could not save pause reasons: ${err.message}`;
+              return;
+            }
+            event.target.textContent = "Saved!";
+            setTimeout(() => {
+              event.target.textContent = "Save";
+            }, 2000);
+          }
+        });
+
+        render();
+      };
+
+      /**
+       * Renders the duration display style section (board-level config).
+       * @param {Object} t - The Trello Power-Up interface.
+       */
+      const renderDurationFormatSettings = async (t) => {
+        const container = document.getElementById("duration-format-settings");
+        if (!container) return;
+
+        const durationFormat = await getDurationFormatConfig(t);
+
+        container.innerHTML = `
+          <h3 class="pause-lists-settings-title">Duration format</h3>
+          <p class="pause-lists-settings-desc">How durations are shown in badges, the card back, the dashboard and exports. A day is one working day.</p>
+          <select id="duration-format-select" class="pause-form-input">
+            ${Object.entries(DURATION_FORMATS)
+              .map(
+                ([value, label]) =>
+                  `<option value="${value}"${value === durationFormat ? " selected" : ""}>${label}</option>`,
+              )
+              .join("")}
+          </select>
+          <button type="button" id="save-duration-format-btn" class="save-pause-lists-btn">Save</button>
+          <p class="settings-error" id="duration-format-error"></p>
+        `;
+
+        const saveBtn = document.getElementById("save-duration-format-btn");
+        const errorElement = document.getElementById("duration-format-error");
+        saveBtn.addEventListener("click", async () => {
+          errorElement.textContent = "";
+          try {
+            await setDurationFormatConfig(
+              t,
+              document.getElementById("duration-format-select").value,
+            );
+          } catch (err) {
+            console.error("❌ Could not save the duration format:", err);
+            errorElement.textContent = `Could not save the duration format: ${err.message}`;
+            return;
+          }
+          saveBtn.textContent = "Saved!";
+          setTimeout(() => {
+            saveBtn.textContent = "Save";
+          }, 2000);
+        });
       };
 
       const token = await getAuthToken(t);
@@ -530,7 +2583,34 @@ if (window.location.href.includes("settings.html")) {
         return;
       }
 
-      await renderPauseListsSettings(t, token);
+      const lists = await renderPauseListsSettings(t, token);
+      if (lists) {
+        await renderListSlaSettings(t, lists);
+        await renderListBudgetSettings(t, lists);
+      }
+      await renderPauseRulesSettings(t);
+      await renderPauseReasonsSettings(t);
+      await renderDurationFormatSettings(t);
+      await CalendarSettings.renderHolidayCalendarSettings(
+        t,
+        document.getElementById("holiday-calendar-settings"),
+      );
+      await CalendarSettings.renderTimeZoneSettings(
+        t,
+        document.getElementById("time-zone-settings"),
+      );
+      await MemberAbsences.renderMemberAbsenceSettings(
+        t,
+        document.getElementById("member-absence-settings"),
+        {
+          exclusionLabel:
+            "Exclude days when all of a card's members are out from Time in List durations",
+        },
+      );
+      await CalendarSettings.renderWorkingHoursSettings(
+        t,
+        document.getElementById("working-hours-settings"),
+      );
       t.sizeTo("#content");
     } catch (error) {
       console.error("❌ Error during Power-Up Settings execution:", error);
@@ -540,6 +2620,35 @@ if (window.location.href.includes("settings.html")) {
       }
     }
   });
+} else if (window.location.href.includes("pause.html")) {
+  // PAUSE POPUP CODE - runs when pause.html is loaded
+  window.addEventListener("load", async () => {
+    const t = TrelloPowerUp.iframe({
+      appKey: APP_KEY,
+      appName: APP_NAME,
+    });
+    try {
+      await renderPauseForm(
+        t,
+        document.getElementById("pause-form-container"),
+        async () => {
+          await t.alert({
+            message: PAUSE_RESUME_TEXT.pausedMessage,
+            duration: 3,
+          });
+          return t.closePopup();
+        },
+      );
+    } catch (error) {
+      console.error("❌ Error during Power-Up Pause execution:", error);
+      document.getElementById("pause-form-container").innerHTML =
+        "<p>An unexpected error occurred.</p>";
+    } finally {
+      t.sizeTo("#content");
+    }
+  });
+} else if (window.location.href.includes("dashboard.html")) {
+  // BOARD DASHBOARD - rendered by dashboard.js, which uses the helpers above
 } else if (window.location.href.includes("index.html")) {
   // IFRAME CODE - runs when index.html is loaded
   window.addEventListener("load", async () => {
@@ -575,7 +2684,19 @@ if (window.location.href.includes("settings.html")) {
         t.sizeTo("#content");
       };
 
-      const renderTimeInList = (history, pauseEvents, t) => {
+      // Tab shown in the card back and lists expanded into their visits; kept when the
+      // section re-renders after a correction
+      let activeTab = "summary";
+      const expandedListIds = new Set();
+
+      const renderTimeInList = (
+        history,
+        pauseEvents,
+        t,
+        businessTimeOptions,
+        pauseLists,
+        card,
+      ) => {
         const timeListElement = document.getElementById("time-list");
 
         // Clear previous content
@@ -590,45 +2711,61 @@ if (window.location.href.includes("settings.html")) {
 
         const now = new Date();
 
-        // First pass: calculate durations in minutes per history entry
-        const listData = history.map((entry, index) => {
-          const startDate = dayjs(entry.enteredAt).toDate();
-          const endDate =
-            index < history.length - 1
-              ? dayjs(history[index + 1].enteredAt).toDate()
-              : now;
+        // Stored pauses plus the list auto-pauses from the card's history
+        const listPauseEvents = buildListPauseEvents(history, pauseLists);
+        const allPauseEvents = getEffectivePauseEvents(
+          pauseEvents,
+          history,
+          pauseLists,
+        );
 
+        // First pass: calculate durations in minutes per list visit
+        const listData = buildListVisits(history, now).map((visit) => {
           // Calculate total time in this list period
-          const totalMinutes = calculateBusinessMinutes(startDate, endDate);
+          const totalMinutes = calculateBusinessMinutes(
+            visit.start,
+            visit.end,
+            businessTimeOptions,
+          );
 
           // Calculate paused time that occurred during this list period
           const pausedMinutes = calculatePausedMinutesInPeriod(
-            pauseEvents,
-            startDate,
-            endDate,
+            allPauseEvents,
+            visit.start,
+            visit.end,
+            businessTimeOptions,
           );
 
           // Subtract paused time from total time
           const activeMinutes = Math.max(0, totalMinutes - pausedMinutes);
 
           return {
-            listName: entry.listName,
+            ...visit,
             minutes: activeMinutes,
+            pausedMinutes,
             formatted: formatBusinessTime(activeMinutes),
           };
         });
 
-        // Aggregate by list name: total minutes and visit count
+        // Cards moved between boards show each list's board and a per-board split
+        const showBoard = historySpansBoards(history);
+
+        // Aggregate by list ID: total minutes and the individual visits
         const aggregatedData = listData.reduce((acc, item) => {
-          if (!acc[item.listName]) {
-            acc[item.listName] = {
-              listName: item.listName,
+          if (!acc[item.listId]) {
+            acc[item.listId] = {
+              listId: item.listId,
+              listName: formatListName(item, showBoard),
+              namesTooltip: describeListNames(item),
+              isOffBoard: item.isOffBoard,
               minutes: 0,
               count: 0,
+              visits: [],
             };
           }
-          acc[item.listName].minutes += item.minutes;
-          acc[item.listName].count += 1;
+          acc[item.listId].minutes += item.minutes;
+          acc[item.listId].count += 1;
+          acc[item.listId].visits.push(item);
           return acc;
         }, {});
 
@@ -644,7 +2781,7 @@ if (window.location.href.includes("settings.html")) {
         );
 
         // Second pass: render with progress bars
-        // Add Pause/Resume button at the top
+        // Add Pause/Resume button at the top (list auto-pauses can't be resumed from here)
         const isPaused = isCardPaused(pauseEvents);
         const buttonClass = isPaused
           ? "pause-button paused"
@@ -663,41 +2800,244 @@ if (window.location.href.includes("settings.html")) {
           </div>
         `;
 
+        const currentListPause = listPauseEvents.find(
+          (event) => !event.resumedAt,
+        );
+        if (currentListPause) {
+          html += `<p class="list-pause-notice">⏸️ Paused automatically while the card is in ${escapeHtml(currentListPause.autoTrigger.name)}.</p>`;
+        }
+
+        html += `
+          <div class="time-in-list-tabs" role="tablist">
+            <button type="button" role="tab" class="time-in-list-tab" data-tab="summary">Summary</button>
+            <button type="button" role="tab" class="time-in-list-tab" data-tab="timeline">Timeline</button>
+          </div>
+          <div class="time-in-list-panel" data-panel="summary">
+        `;
+
+        // One row per visit when a list is expanded
+        const visitHtml = (visit, isLongest) => {
+          const dates = formatPauseInterval({
+            pausedAt: visit.start,
+            resumedAt: visit.isCurrent ? null : visit.end,
+          });
+          const paused =
+            visit.pausedMinutes > 0
+              ? ` <span class="list-visit-paused">(+${formatBusinessTime(visit.pausedMinutes)} paused)</span>`
+              : "";
+          return `<li class="list-visit${isLongest ? " longest" : ""}">
+                    <span class="list-visit-dates">${escapeHtml(dates)}</span>
+                    <span class="list-visit-time">${isLongest ? '<span class="list-visit-longest">Longest</span> ' : ""}${visit.formatted}${paused}</span>
+                  </li>`;
+        };
+
         aggregatedList.forEach((item) => {
           const percentage =
             totalMinutes > 0 ? (item.minutes / totalMinutes) * 100 : 0;
           const countLabel =
             item.count === 1 ? "1 time" : `${item.count} times`;
 
-          html += `<div class="list-item">
-                     <div class="list-item-header">
-                       <span class="list-name">${item.listName}</span>
-                       <span class="list-time">${item.formatted} (${countLabel})</span>
-                     </div>
-                     <div class="progress-bar">
-                       <div class="progress-fill" style="width: ${percentage}%"></div>
-                     </div>
-                   </div>`;
+          // Highlight the longest visit when there's more than one
+          const longestVisit =
+            item.count > 1
+              ? item.visits.reduce((longest, visit) =>
+                  visit.minutes > longest.minutes ? visit : longest,
+                )
+              : null;
+
+          html += `<details class="list-item" data-list-id="${item.listId}"${expandedListIds.has(item.listId) ? " open" : ""}>
+                     <summary>
+                       <div class="list-item-header">
+                         <span class="list-name"><span class="list-visits-toggle"></span><span${item.namesTooltip ? ` title="${escapeHtml(item.namesTooltip)}"` : ""}>${escapeHtml(item.listName)}</span>${item.isOffBoard && !showBoard ? ' <span class="list-off-board">(not on this board)</span>' : ""}</span>
+                         <span class="list-time">${item.formatted} (${countLabel})</span>
+                       </div>
+                       <div class="progress-bar">
+                         <div class="progress-fill" style="width: ${percentage}%"></div>
+                       </div>
+                     </summary>
+                     <ul class="list-visits">
+                       ${item.visits.map((visit) => visitHtml(visit, visit === longestVisit)).join("")}
+                     </ul>
+                   </details>`;
         });
 
+        if (showBoard) {
+          const boardTotals = listData.reduce((acc, item) => {
+            const key = item.boardId || "unknown";
+            if (!acc[key]) {
+              acc[key] = {
+                boardName: item.boardName || "Unknown board",
+                minutes: 0,
+              };
+            }
+            acc[key].minutes += item.minutes;
+            return acc;
+          }, {});
+          html += `<div class="board-time-summary">
+                     <strong>Time per board</strong>
+                     <ul class="pause-reason-breakdown">
+                       ${Object.values(boardTotals)
+                         .map(
+                           (item) =>
+                             `<li><span>${escapeHtml(item.boardName)}</span><span>${formatBusinessTime(item.minutes)}</span></li>`,
+                         )
+                         .join("")}
+                     </ul>
+                   </div>`;
+        }
+
         // Add paused time summary if there are pause events
-        if (pauseEvents && pauseEvents.length > 0) {
-          const pausedMinutes = calculateTotalPausedMinutes(pauseEvents);
+        if (allPauseEvents.length > 0) {
+          const pausedMinutes = calculateTotalPausedMinutes(
+            allPauseEvents,
+            businessTimeOptions,
+          );
           const pausedTime = formatBusinessTime(pausedMinutes);
+          const reasonBreakdown = calculatePausedMinutesByReason(
+            allPauseEvents,
+            businessTimeOptions,
+          );
           html += `<div class="paused-time-summary">
                      <strong>⏸️ Total paused time:</strong> ${pausedTime}
+                     <ul class="pause-reason-breakdown">
+                       ${reasonBreakdown
+                         .map(
+                           (item) =>
+                             `<li><span>${escapeHtml(item.label)}</span><span>${formatBusinessTime(item.minutes)}</span></li>`,
+                         )
+                         .join("")}
+                     </ul>
                    </div>`;
         }
 
+        // Editable pause timeline, filled in below
+        html += `<div id="pause-timeline" class="pause-history"></div>`;
+
+        html += `
+          </div>
+          <div class="time-in-list-panel" data-panel="timeline">
+            ${renderHistoryTimeline(history, allPauseEvents, businessTimeOptions)}
+          </div>
+          <div class="time-in-list-export">
+            <span>Export visits and pauses:</span>
+            <button type="button" class="pause-timeline-btn" data-export="csv">CSV</button>
+            <button type="button" class="pause-timeline-btn" data-export="json">JSON</button>
+          </div>
+        `;
+
         timeListElement.innerHTML = html;
 
+        const showTab = (tab) => {
+          activeTab = tab;
+          timeListElement
+            .querySelectorAll(".time-in-list-tab")
+            .forEach((tabButton) => {
+              tabButton.classList.toggle(
+                "active",
+                tabButton.dataset.tab === tab,
+              );
+            });
+          timeListElement
+            .querySelectorAll(".time-in-list-panel")
+            .forEach((panel) => {
+              panel.hidden = panel.dataset.panel !== tab;
+            });
+          t.sizeTo("#content");
+        };
+        timeListElement
+          .querySelectorAll(".time-in-list-tab")
+          .forEach((tabButton) => {
+            tabButton.addEventListener("click", () =>
+              showTab(tabButton.dataset.tab),
+            );
+          });
+        showTab(activeTab);
+
+        // Corrections update every duration right away
+        renderPauseTimeline(
+          t,
+          document.getElementById("pause-timeline"),
+          pauseEvents,
+          (newPauseEvents) =>
+            renderTimeInList(
+              history,
+              newPauseEvents,
+              t,
+              businessTimeOptions,
+              pauseLists,
+              card,
+            ),
+          listPauseEvents,
+        ).catch((err) => {
+          console.error("❌ Error rendering the pause timeline:", err);
+        });
+
+        timeListElement
+          .querySelectorAll("details.list-item")
+          .forEach((listItem) => {
+            listItem.addEventListener("toggle", () => {
+              if (listItem.open) {
+                expandedListIds.add(listItem.dataset.listId);
+              } else {
+                expandedListIds.delete(listItem.dataset.listId);
+              }
+              t.sizeTo("#content");
+            });
+          });
+
+        // Export the full visit list and pause events (stored and list pauses)
+        timeListElement
+          .querySelectorAll("[data-export]")
+          .forEach((exportButton) => {
+            exportButton.addEventListener("click", () => {
+              const exportData = buildCardTimeExport(
+                card,
+                history,
+                allPauseEvents,
+                businessTimeOptions,
+              );
+              const filename = `time-in-list-${card.id}-${dayjs().format("YYYY-MM-DD-HHmm")}`;
+              if (exportButton.dataset.export === "json") {
+                CsvExport.downloadFile(
+                  JSON.stringify(exportData, null, 2),
+                  `${filename}.json`,
+                  "application/json;charset=utf-8;",
+                );
+              } else {
+                CsvExport.downloadCSV(
+                  generateCardTimeCSV(exportData),
+                  `${filename}.csv`,
+                );
+              }
+            });
+          });
+
         // Attach event listener to pause/resume button
         const pauseResumeBtn = document.getElementById("pauseResumeBtn");
         if (pauseResumeBtn) {
           pauseResumeBtn.addEventListener("click", async function () {
-            const nowPaused = await togglePauseResume(t);
-            // Reload the entire section to update times
-            location.reload();
+            if (isPaused) {
+              try {
+                await togglePauseResume(t);
+              } catch (err) {
+                console.error("❌ Could not resume the timer:", err);
+                t.alert({
+                  message: `Could not resume the timer: ${err.message}`,
+                  duration: 5,
+                  display: "error",
+                });
+                return;
+              }
+              // Reload the entire section to update times
+              location.reload();
+              return;
+            }
+
+            // Ask for a reason before pausing
+            await renderPauseForm(t, pauseResumeBtn.parentElement, () => {
+              location.reload();
+            });
+            t.sizeTo("#content");
           });
         }
       };
@@ -708,17 +3048,22 @@ if (window.location.href.includes("settings.html")) {
         return;
       }
 
-      const card = await t.card("id");
+      const card = await t.card("id", "name", "shortUrl");
 
       let actions;
       try {
-        actions = await TrelloApi.fetchCardActions(
+        actions = await TrelloApi.fetchAllCardActions(
           card.id,
           token,
-          "updateCard:idList,createCard",
+          CARD_HISTORY_ACTION_FILTER,
+          { maxActions: MAX_CARD_ACTIONS },
         );
       } catch (err) {
         console.error("❌ API request failed:", err);
+        if (!err.isUnauthorized) {
+          throw err;
+        }
+        // Token was revoked or expired - clear it and ask to authorize again
         await t.remove("organization", "private", "token").catch(() => {
           return t.remove("board", "private", "token");
         });
@@ -726,12 +3071,30 @@ if (window.location.href.includes("settings.html")) {
         return;
       }
 
-      const history = buildCardHistory(actions, card.id);
-
-      // Fetch pause events to display paused time
-      const pauseEvents = await getPauseEvents(t);
-
-      renderTimeInList(history, pauseEvents, t);
+      const history = applyCurrentListNames(
+        buildCardHistory(actions, card.id),
+        await t.lists("id", "name"),
+      );
+
+      // Fetch pause events and pause lists to display paused time
+      const [pauseEvents, pauseLists] = await Promise.all([
+        getPauseEvents(t),
+        getPauseListsConfig(t),
+      ]);
+
+      // Use the board's holiday calendar for business time
+      await CalendarSettings.loadCalendarSettings(t);
+      await loadDurationFormat(t);
+      const businessTimeOptions = await getCardBusinessTimeOptions(t);
+
+      renderTimeInList(
+        history,
+        pauseEvents,
+        t,
+        businessTimeOptions,
+        pauseLists,
+        card,
+      );
     } catch (error) {
       console.error("❌ Error during Power-Up Time in List execution:", error);
       document.getElementById("time-list").innerHTML =
@@ -760,6 +3123,32 @@ if (window.location.href.includes("settings.html")) {
           });
         }
       },
+      "board-buttons": function (t, options) {
+        return [
+          {
+            icon: {
+              dark: "https://cdn-icons-png.flaticon.com/512/2088/2088617.png",
+              light: "https://cdn-icons-png.flaticon.com/512/2088/2088617.png",
+            },
+            text: "Time in List Dashboard",
+            callback: async function (t) {
+              const token = await getAuthToken(t);
+              if (!token) {
+                return t.popup({
+                  title: "Authorize Account",
+                  url: "./authorize.html",
+                  height: 140,
+                });
+              }
+              return t.boardBar({
+                title: "Time in List Dashboard",
+                url: "./dashboard.html",
+                height: 500,
+              });
+            },
+          },
+        ];
+      },
       "card-back-section": function (t, options) {
         // console.log("✅ card-back-section Time in List callback triggered");
         return {
@@ -783,14 +3172,27 @@ if (window.location.href.includes("settings.html")) {
             return []; // Not authorized or error
           }
 
-          const { duration, isPaused } = timeInfo;
-
+          // Dynamic badge: Trello calls it again after `refresh` seconds, so boards left open
+          // keep showing current times. The first call reuses the result computed above.
+          let pendingTimeInfo = timeInfo;
           return [
             {
-              text: isPaused ? `⏱️ ${duration} ⏸️` : `⏱️ ${duration}`,
-              color: isPaused
-                ? PAUSE_RESUME_COLORS.paused
-                : PAUSE_RESUME_COLORS.active,
+              dynamic: async function () {
+                try {
+                  const info =
+                    pendingTimeInfo || (await calculateCurrentListTime(t));
+                  pendingTimeInfo = null;
+                  if (info) {
+                    return getCardBadge(info);
+                  }
+                } catch (error) {
+                  console.error(
+                    "❌ Error refreshing Time in List badge:",
+                    error,
+                  );
+                }
+                return { text: "", refresh: BADGE_REFRESH_SECONDS.longer };
+              },
             },
           ];
         } catch (error) {
@@ -827,18 +3229,49 @@ if (window.location.href.includes("settings.html")) {
             return []; // Not authorized or error
           }
 
-          const { duration, isPaused } = timeInfo;
+          const {
+            duration,
+            isPaused,
+            canResume,
+            pauseEvents,
+            sla,
+            slaStatus,
+            budget,
+          } = timeInfo;
+          let pauseTitle = "Timer Active";
+          if (isPaused) {
+            const currentPause = pauseEvents.find((event) => !event.resumedAt);
+            pauseTitle = currentPause.pausedBy
+              ? `Timer Paused by ${currentPause.pausedBy.name}`
+              : `Timer Paused (${getPauseReasonLabel(currentPause)})`;
+          }
 
-          // Return TWO badges: time + pause/resume button
+          // Time badge, budget progress (for lists with a budget) and pause/resume button
+          const timeBadge = {
+            // Card-front badges can't show tooltips, so the SLA is spelled out here
+            title: sla
+              ? `Time in Current List (${formatSla(sla)})`
+              : "Time in Current List",
+            text: duration,
+            color: SLA_COLORS[slaStatus] || "blue",
+          };
+          const budgetBadges = budget
+            ? [
+                {
+                  title: `Budget (${formatBudgetTime(budget.budgetMinutes)}): ${formatBudgetRemaining(budget)}`,
+                  text: formatBudgetProgress(budget),
+                  color:
+                    budget.remainingMinutes < 0 ? SLA_COLORS.breach : "blue",
+                },
+              ]
+            : [];
           return [
+            timeBadge,
+            ...budgetBadges,
             {
-              title: "Time in Current List",
-              text: duration,
-              color: "blue",
-            },
-            {
-              title: isPaused ? "Timer Paused" : "Timer Active",
-              text: isPaused
+              title: pauseTitle,
+              // A list auto-pause can't be resumed, only paused on top of
+              text: canResume
                 ? PAUSE_RESUME_TEXT.resumeBadge
                 : PAUSE_RESUME_TEXT.pauseBadge,
               color: isPaused